@@ -1,16 +1,43 @@
+import { Session } from './session.js';
+import { P2PNetwork } from './p2p.js';
+import { ExpiryScheduler } from './expiry.js';
+import { AutoLock } from './autolock.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { NetworkProxy } from './network-proxy.js';
+
 class P2PChatApp {
     constructor() {
-        this.crypto = new CryptoManager();
-        this.storage = new SecureStorage();
-        this.network = new P2PNetwork();
-        this.currentUser = null;
+        // 身份、密钥、存储和网络由会话统一持有，应用与网络层共用；网络在 init 中确定本标签页的角色后注入
+        this.session = new Session();
+        this.tabs = new TabCoordinator();
+        this.expiry = new ExpiryScheduler(this.session.storage);
+        this.autoLock = new AutoLock();
         this.activeContact = null;
         this.contactStatus = new Map();
+        this.burnTimers = new Map();
+        this.networkRetryTimer = null;
+        this.networkRetryAttempts = 0;
         this.initialized = false;
         
         this.init();
     }
 
+    get crypto() {
+        return this.session.crypto;
+    }
+
+    get storage() {
+        return this.session.storage;
+    }
+
+    get network() {
+        return this.session.network;
+    }
+
+    get currentUser() {
+        return this.session.identity;
+    }
+
     async init() {
         try {
             console.log('应用初始化开始...');
@@ -18,31 +45,37 @@ class P2PChatApp {
             // 显示加载状态
             this.showLoading('正在初始化应用...');
             
+            // 只有领导标签页运行 P2P 网络，其他标签页通过它收发；领导标签页关闭后由下一个标签页接任
+            await this.tabs.start();
+            this.session.attach(this.createNetwork());
+            this.tabs.on('leader', () => this.promoteToLeader());
+            // 在任一标签页手动锁定或销毁数据时，其他标签页同样锁定或停止
+            this.tabs.on('lock', () => this.lockApp());
+            this.tabs.on('wipe', () => this.handleRemoteWipe());
+            
+            // 过期清理和自动锁定只在会话解锁时运行
+            this.session.on('state-changed', (change) => this.handleSessionState(change));
+            this.autoLock.on('lock', () => this.lockApp());
+            this.setupExpiryHandlers();
+            
             // 先初始化存储
             await this.storage.init();
             console.log('存储初始化完成');
             
+            // 读取任何数据之前先解锁存储
+            this.hideLoading();
+            await this.unlockStorage();
+            
             // 检查现有身份
             const existingIdentity = await this.storage.getIdentity();
             
             if (existingIdentity) {
                 console.log('发现现有身份:', existingIdentity.peerId);
-                this.currentUser = existingIdentity;
-                this.crypto.currentUser = existingIdentity;
+                await this.session.activate(existingIdentity);
                 
                 this.showChatInterface();
-                try {
-                    this.showLoading('正在连接网络...');
-                    await this.network.init(existingIdentity);
-                    this.setupNetworkHandlers();
-                    console.log('网络初始化完成');
-                    this.hideLoading();
-                } catch (error) {
-                    console.error('网络初始化失败:', error);
-                    this.showNotification(`网络初始化失败: ${error.message}`);
-                    // 如果网络初始化失败，重新生成身份
-                    await this.generateIdentity();
-                }
+                // 网络失败时按原因提示或重试，不会更换身份
+                await this.connectNetwork();
             } else {
                 console.log('未发现现有身份，显示设置界面');
                 this.showIdentitySetup();
@@ -63,6 +96,511 @@ class P2PChatApp {
         }
     }
 
+    // 显示锁屏，直到口令设置或解锁成功
+    async unlockStorage() {
+        const isSetup = !(await this.storage.hasPassphrase());
+
+        return new Promise((resolve) => {
+            const passphraseInput = document.getElementById('lock-passphrase');
+            const confirmInput = document.getElementById('lock-passphrase-confirm');
+            const unlockButton = document.getElementById('unlock');
+
+            document.getElementById('lock-title').textContent = isSetup ? '设置解锁口令' : '解锁';
+            document.getElementById('lock-hint').textContent = isSetup
+                ? '口令用于加密本地保存的身份和聊天记录，忘记口令将无法恢复数据'
+                : '请输入口令解锁本地数据';
+            confirmInput.classList.toggle('hidden', !isSetup);
+            unlockButton.textContent = isSetup ? '设置口令' : '解锁';
+            this.showScreen('lock-screen');
+            passphraseInput.focus();
+
+            const submit = async () => {
+                const passphrase = passphraseInput.value;
+                if (isSetup) {
+                    if (passphrase.length < 8) {
+                        this.showNotification('口令至少需要 8 个字符');
+                        return;
+                    }
+                    if (passphrase !== confirmInput.value) {
+                        this.showNotification('两次输入的口令不一致');
+                        return;
+                    }
+                }
+
+                try {
+                    unlockButton.disabled = true;
+                    this.showLoading('正在派生密钥...');
+                    if (isSetup) {
+                        await this.storage.setupPassphrase(passphrase);
+                    } else {
+                        const result = await this.storage.unlock(passphrase);
+                        if (result.duress) {
+                            await this.performDuressWipe(passphrase, result.notifyContacts);
+                        }
+                    }
+                    this.hideLoading();
+                } catch (error) {
+                    this.hideLoading();
+                    unlockButton.disabled = false;
+                    this.showNotification(`解锁失败: ${error.message}`);
+                    return;
+                }
+
+                this.session.markUnlocked();
+                passphraseInput.value = '';
+                confirmInput.value = '';
+                unlockButton.disabled = false;
+                unlockButton.removeEventListener('click', submit);
+                passphraseInput.removeEventListener('keypress', submitOnEnter);
+                confirmInput.removeEventListener('keypress', submitOnEnter);
+                document.getElementById('lock-screen').classList.remove('active');
+                resolve();
+            };
+
+            const submitOnEnter = (e) => {
+                if (e.key === 'Enter') {
+                    submit();
+                }
+            };
+
+            unlockButton.addEventListener('click', submit);
+            passphraseInput.addEventListener('keypress', submitOnEnter);
+            confirmInput.addEventListener('keypress', submitOnEnter);
+        });
+    }
+
+    // 离开锁定或销毁状态时启动过期清理和自动锁定，进入时停止
+    handleSessionState({ state, previous }) {
+        if (state === 'locked' || state === 'destroyed') {
+            this.expiry.stop();
+            this.autoLock.stop();
+        } else if (previous === 'locked' || previous === 'destroyed') {
+            this.expiry.start();
+            this.startAutoLock().catch(error => {
+                console.error('启动自动锁定失败:', error);
+            });
+        }
+    }
+
+    // 读取自动锁定设置并开始监测
+    async startAutoLock() {
+        const settings = await this.storage.getSetting('auto-lock', { idleMinutes: 5, lockOnHide: false });
+        this.autoLock.configure(settings);
+        this.autoLock.start();
+    }
+
+    // 锁定应用：擦除内存中的密钥，暂停消息处理，清空聊天界面
+    // broadcast 为 true 时其他标签页一起锁定（手动锁定）；自动锁定按各标签页自己的活动判断，只锁定本标签页
+    async lockApp({ broadcast = false } = {}) {
+        if (this.session.state === 'locked' || this.session.state === 'destroyed') {
+            return;
+        }
+        if (broadcast) {
+            this.tabs.broadcast('lock');
+        }
+
+        this.burnTimers.forEach(timer => clearInterval(timer));
+        this.burnTimers.clear();
+
+        await this.session.lock();
+        this.activeContact = null;
+        this.blankChatInterface();
+
+        await this.unlockStorage();
+        await this.restoreAfterUnlock();
+    }
+
+    // 其他标签页销毁了本地数据（手动销毁或胁迫口令）：立即停止网络、擦除密钥，重新加载后显示锁屏
+    handleRemoteWipe() {
+        this.burnTimers.forEach(timer => clearInterval(timer));
+        this.burnTimers.clear();
+        this.session.terminate();
+        this.activeContact = null;
+        this.blankChatInterface();
+        location.reload();
+    }
+
+    // 清空聊天界面中的所有敏感内容
+    blankChatInterface() {
+        document.getElementById('chat-messages').innerHTML = '';
+        document.getElementById('contacts-list').innerHTML = '';
+        document.getElementById('current-user').textContent = '';
+        document.getElementById('message-text').value = '';
+        document.getElementById('contact-id').value = '';
+        this.hideSecurityDialog();
+        this.hideNetworkDialog();
+        this.hideIdConflictDialog();
+        this.hidePassphraseDialog();
+        this.hideSafetyDialog();
+        this.hideInviteDialog();
+        this.updateKeyChangeBanner(null);
+        this.updateVerificationStatus(null);
+        this.updateDestroyPolicySelector(null);
+        this.updateMessageInputState(false);
+    }
+
+    // 解锁后恢复身份、界面和网络消息处理
+    async restoreAfterUnlock() {
+        const identity = await this.storage.getIdentity();
+        if (!identity) {
+            this.showIdentitySetup();
+            return;
+        }
+
+        await this.session.activate(identity);
+        this.showChatInterface();
+
+        if (this.network.initialized) {
+            try {
+                const processed = await this.network.resume();
+                if (processed > 0) {
+                    this.showNotification(`已处理锁定期间收到的 ${processed} 条消息`);
+                }
+            } catch (error) {
+                console.error('恢复网络消息处理失败:', error);
+                this.showNotification(`恢复消息处理失败: ${error.message}`);
+            }
+        } else {
+            await this.connectNetwork();
+        }
+    }
+
+    createNetwork() {
+        if (!this.tabs.isLeader) {
+            return new NetworkProxy(this.tabs, this.session);
+        }
+
+        const network = new P2PNetwork({ session: this.session });
+        this.tabs.serve(network);
+        return network;
+    }
+
+    // 原领导标签页关闭后由本标签页运行网络
+    async promoteToLeader() {
+        this.network.destroy();
+        this.session.attach(this.createNetwork());
+
+        // 锁定中时解锁后会连接网络
+        if (this.session.isUnlocked() && this.currentUser) {
+            this.showNotification('主标签页已关闭，本标签页接管网络连接');
+            await this.connectNetwork();
+            await this.updateContactsList();
+        }
+    }
+
+    // 连接网络；失败时按原因处理，任何情况下都不会自动更换身份
+    async connectNetwork() {
+        clearTimeout(this.networkRetryTimer);
+        this.networkRetryTimer = null;
+
+        this.setupNetworkHandlers();
+        try {
+            this.showLoading('正在连接网络...');
+            await this.network.init();
+            console.log('网络初始化完成');
+            this.networkRetryAttempts = 0;
+            this.hideLoading();
+            return true;
+        } catch (error) {
+            console.error('网络初始化失败:', error);
+            this.hideLoading();
+            this.handleNetworkInitError(error);
+            return false;
+        }
+    }
+
+    handleNetworkInitError(error) {
+        if (error.type === 'identity-in-use' || error.type === 'unavailable-id') {
+            this.showIdConflictDialog(error.type);
+        } else if (this.network.isTransientError(error)) {
+            // 网络暂时不可用：按退避自动重试，浏览器重新联网时立即重试
+            const delay = Math.min(5000 * 2 ** this.networkRetryAttempts, 5 * 60 * 1000);
+            this.networkRetryAttempts++;
+            this.networkRetryTimer = setTimeout(() => {
+                this.networkRetryTimer = null;
+                if (this.session.isUnlocked()) {
+                    this.connectNetwork();
+                }
+            }, delay);
+            this.showNotification(`网络暂时不可用，${Math.round(delay / 1000)} 秒后重试`);
+        } else if (error.type !== 'cancelled') {
+            this.showNotification(`网络初始化失败: ${error.message}`);
+        }
+    }
+
+    // 连接 ID 冲突：identity-in-use 表示本机其他页面已打开该身份，unavailable-id 表示重试后 ID 仍被占用
+    showIdConflictDialog(reason) {
+        const inUse = reason === 'identity-in-use';
+        document.getElementById('id-conflict-title').textContent = inUse
+            ? '该身份已在其他页面中打开'
+            : '连接 ID 被占用';
+        document.getElementById('id-conflict-detail').textContent = inUse
+            ? '同一身份同时只能在一个页面中在线。接管后，另一个页面将断开网络。'
+            : '可能是旧的会话尚未过期，或有其他人占用了你的 ID。你的身份和联系人保持不变，可以稍后重试或更换信令服务器。';
+        document.getElementById('id-conflict-takeover').classList.toggle('hidden', !inUse);
+        document.getElementById('id-conflict-retry').classList.toggle('hidden', inUse);
+        document.getElementById('id-conflict-network').classList.toggle('hidden', inUse);
+        document.getElementById('id-conflict-new-identity').classList.toggle('hidden', inUse);
+        document.getElementById('id-conflict-dialog').classList.remove('hidden');
+    }
+
+    hideIdConflictDialog() {
+        document.getElementById('id-conflict-dialog').classList.add('hidden');
+    }
+
+    async takeOverIdentity() {
+        this.hideIdConflictDialog();
+        try {
+            this.showLoading('正在接管身份...');
+            await this.network.takeOverIdentity();
+            this.hideLoading();
+            this.showNotification('已在此页面接管身份');
+        } catch (error) {
+            console.error('接管身份失败:', error);
+            this.hideLoading();
+            this.handleNetworkInitError(error);
+        }
+    }
+
+    // 只有用户明确同意时才放弃当前身份，转到身份设置界面重新生成
+    replaceIdentity() {
+        if (!confirm('⚠️ 生成新身份后，现有联系人将无法再联系到你，此操作不可撤销。确定继续吗？')) {
+            return;
+        }
+        this.hideIdConflictDialog();
+        document.getElementById('identity-actions').classList.remove('hidden');
+        document.getElementById('identity-display').classList.add('hidden');
+        this.showIdentitySetup();
+    }
+
+    // 胁迫口令：静默销毁所有数据，再以同一口令创建一个新的空身份，
+    // 之后的流程与正常解锁完全相同，界面上看不出发生过销毁
+    async performDuressWipe(passphrase, notifyContacts) {
+        if (notifyContacts && this.network.initialized) {
+            for (const peerId of this.network.connections.keys()) {
+                try {
+                    // 存储仍处于锁定，网络使用锁定前准备的销毁授权签名
+                    await this.network.sendDestroyCommand(peerId);
+                } catch (error) {
+                    // 静默忽略
+                }
+            }
+        }
+
+        // 先让其他标签页停止网络并释放数据库，领导标签页不会继续以旧身份运行
+        this.tabs.broadcast('wipe');
+        await this.session.destroy({ silent: true });
+        this.session.attach(this.createNetwork());
+        this.activeContact = null;
+        this.contactStatus.clear();
+
+        await this.storage.setupPassphrase(passphrase);
+
+        // 与首次设置相同，由助记词派生身份；正常解锁不会显示助记词，这里也不显示
+        const { identity } = await this.crypto.generateMnemonicIdentity();
+        await this.storage.saveIdentity(identity);
+    }
+
+    // 安全设置对话框
+    async showSecurityDialog() {
+        const settings = await this.storage.getSetting('auto-lock', { idleMinutes: 5, lockOnHide: false });
+        document.getElementById('idle-minutes').value = settings.idleMinutes;
+        document.getElementById('lock-on-hide').checked = settings.lockOnHide;
+        document.getElementById('security-dialog').classList.remove('hidden');
+    }
+
+    hideSecurityDialog() {
+        document.getElementById('duress-passphrase').value = '';
+        document.getElementById('duress-notify').checked = false;
+        document.getElementById('backup-passphrase').value = '';
+        document.getElementById('security-dialog').classList.add('hidden');
+    }
+
+    // 清除胁迫口令
+    async clearDuressPassphrase() {
+        try {
+            await this.storage.clearDuressPassphrase();
+            this.showNotification('胁迫口令已清除');
+        } catch (error) {
+            this.showNotification(`清除胁迫口令失败: ${error.message}`);
+        }
+    }
+
+    // 保存自动锁定设置
+    async saveSecuritySettings() {
+        const idleMinutes = parseInt(document.getElementById('idle-minutes').value);
+        if (!(idleMinutes >= 0)) {
+            this.showNotification('自动锁定时间无效');
+            return;
+        }
+
+        const settings = {
+            idleMinutes,
+            lockOnHide: document.getElementById('lock-on-hide').checked
+        };
+        const duressPassphrase = document.getElementById('duress-passphrase').value;
+        if (duressPassphrase && duressPassphrase.length < 4) {
+            this.showNotification('胁迫口令至少需要 4 个字符');
+            return;
+        }
+
+        try {
+            if (duressPassphrase) {
+                this.showLoading('正在派生密钥...');
+                await this.storage.setDuressPassphrase(
+                    duressPassphrase,
+                    document.getElementById('duress-notify').checked
+                );
+                this.hideLoading();
+            }
+            await this.storage.saveSetting('auto-lock', settings);
+            this.autoLock.configure(settings);
+            this.hideSecurityDialog();
+            this.showNotification('安全设置已保存');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification(`保存设置失败: ${error.message}`);
+        }
+    }
+
+    // 网络设置对话框
+    async showNetworkDialog() {
+        try {
+            this.fillNetworkForm(await this.network.loadNetworkSettings());
+            document.getElementById('network-dialog').classList.remove('hidden');
+        } catch (error) {
+            this.showNotification(`读取网络设置失败: ${error.message}`);
+        }
+    }
+
+    hideNetworkDialog() {
+        document.getElementById('network-dialog').classList.add('hidden');
+    }
+
+    fillNetworkForm(settings) {
+        document.getElementById('network-profile').value = settings.profile;
+        document.getElementById('network-transport').value = settings.transport;
+        document.getElementById('network-host').value = settings.host;
+        document.getElementById('network-port').value = settings.port;
+        document.getElementById('network-path').value = settings.path;
+        document.getElementById('network-secure').checked = settings.secure;
+        document.getElementById('network-ice').value = settings.iceServers.map(server => {
+            const urls = Array.isArray(server.urls) ? server.urls.join(',') : server.urls;
+            return [urls, server.username, server.credential].filter(Boolean).join(' ');
+        }).join('\n');
+    }
+
+    // 选择预置配置时填入对应的值
+    selectNetworkProfile(name) {
+        if (name !== 'custom') {
+            this.fillNetworkForm(this.network.getNetworkProfile(name));
+        }
+    }
+
+    // 读取表单并应用网络设置
+    async saveNetworkSettings() {
+        const iceServers = document.getElementById('network-ice').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [urls, username, credential] = line.split(/\s+/);
+                const server = { urls: urls.includes(',') ? urls.split(',') : urls };
+                if (username) {
+                    server.username = username;
+                    server.credential = credential;
+                }
+                return server;
+            });
+
+        const profile = document.getElementById('network-profile').value;
+        const settings = {
+            profile,
+            transport: document.getElementById('network-transport').value,
+            host: document.getElementById('network-host').value,
+            port: parseInt(document.getElementById('network-port').value),
+            path: document.getElementById('network-path').value,
+            secure: document.getElementById('network-secure').checked,
+            iceServers
+        };
+
+        try {
+            // 手动修改过预置配置的值时记为自定义
+            if (profile !== 'custom') {
+                const preset = this.network.getNetworkProfile(profile);
+                if (JSON.stringify(this.network.normalizeNetworkSettings(preset)) !==
+                    JSON.stringify(this.network.normalizeNetworkSettings(settings))) {
+                    settings.profile = 'custom';
+                }
+            }
+
+            this.showLoading('正在连接信令服务器...');
+            const wasInitialized = this.network.initialized;
+            await this.network.applyNetworkSettings(settings);
+
+            // 之前网络未能初始化（例如默认服务器不可达），用新设置重试
+            if (!wasInitialized && this.currentUser) {
+                await this.network.init(this.currentUser);
+                this.setupNetworkHandlers();
+            }
+
+            this.hideLoading();
+            this.hideNetworkDialog();
+            this.showNotification('网络设置已应用');
+            await this.updateContactsList();
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification(`网络设置未生效: ${error.message}`);
+        }
+    }
+
+    // 只显示指定的界面
+    showScreen(screenId) {
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.toggle('active', screen.id === screenId);
+        });
+    }
+
+    // 修改口令对话框
+    showPassphraseDialog() {
+        document.getElementById('passphrase-dialog').classList.remove('hidden');
+        document.getElementById('current-passphrase').focus();
+    }
+
+    hidePassphraseDialog() {
+        ['current-passphrase', 'new-passphrase', 'confirm-passphrase'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('passphrase-dialog').classList.add('hidden');
+    }
+
+    // 修改口令
+    async changePassphrase() {
+        const currentPassphrase = document.getElementById('current-passphrase').value;
+        const newPassphrase = document.getElementById('new-passphrase').value;
+        const confirmPassphrase = document.getElementById('confirm-passphrase').value;
+
+        if (newPassphrase.length < 8) {
+            this.showNotification('新口令至少需要 8 个字符');
+            return;
+        }
+        if (newPassphrase !== confirmPassphrase) {
+            this.showNotification('两次输入的新口令不一致');
+            return;
+        }
+
+        try {
+            this.showLoading('正在重新加密数据...');
+            await this.storage.changePassphrase(currentPassphrase, newPassphrase);
+            this.hideLoading();
+            this.hidePassphraseDialog();
+            this.showNotification('口令已修改');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification(`修改口令失败: ${error.message}`);
+        }
+    }
+
     // 显示加载状态
     showLoading(message = '加载中...') {
         let loadingEl = document.getElementById('loading');
@@ -127,8 +665,29 @@ class P2PChatApp {
             this.generateIdentity();
         });
 
+        // 从助记词恢复身份
+        document.getElementById('show-restore').addEventListener('click', () => {
+            document.getElementById('restore-form').classList.toggle('hidden');
+        });
+
+        document.getElementById('restore-identity').addEventListener('click', () => {
+            this.restoreIdentity();
+        });
+
+        // 从备份文件恢复
+        document.getElementById('show-import').addEventListener('click', () => {
+            document.getElementById('import-form').classList.toggle('hidden');
+        });
+
+        document.getElementById('import-backup').addEventListener('click', () => {
+            this.importBackup();
+        });
+
         // 开始聊天
         document.getElementById('start-chat').addEventListener('click', () => {
+            // 助记词只显示一次
+            document.getElementById('mnemonic-words').innerHTML = '';
+            document.getElementById('mnemonic-backup').classList.add('hidden');
             this.showChatInterface();
         });
 
@@ -157,6 +716,164 @@ class P2PChatApp {
             }
         });
 
+        // 邀请
+        document.getElementById('create-invite').addEventListener('click', () => {
+            this.showInviteDialog();
+        });
+
+        document.getElementById('invite-generate').addEventListener('click', () => {
+            this.generateInvite();
+        });
+
+        document.getElementById('invite-copy').addEventListener('click', () => {
+            this.copyInviteLink();
+        });
+
+        document.getElementById('invite-close').addEventListener('click', () => {
+            this.hideInviteDialog();
+        });
+
+        document.getElementById('scan-invite').addEventListener('click', () => {
+            document.getElementById('scan-invite-file').click();
+        });
+
+        document.getElementById('scan-invite-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.scanInviteImage(file);
+            }
+        });
+
+        // 密钥变更确认
+        document.getElementById('accept-key-change').addEventListener('click', () => {
+            this.resolveKeyChange(true);
+        });
+
+        document.getElementById('reject-key-change').addEventListener('click', () => {
+            this.resolveKeyChange(false);
+        });
+
+        // 安全码验证
+        document.getElementById('show-safety-number').addEventListener('click', () => {
+            this.showSafetyDialog();
+        });
+
+        document.getElementById('toggle-verified').addEventListener('click', () => {
+            this.toggleManualVerification();
+        });
+
+        document.getElementById('scan-qr').addEventListener('click', () => {
+            document.getElementById('scan-qr-file').click();
+        });
+
+        document.getElementById('scan-qr-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.scanQrImage(file);
+            }
+        });
+
+        document.getElementById('safety-close').addEventListener('click', () => {
+            this.hideSafetyDialog();
+        });
+
+        // 会话保留策略
+        document.getElementById('retention-policy').addEventListener('change', (e) => {
+            this.changeRetentionPolicy(e.target.value);
+        });
+
+        // 对方销毁请求的处理策略
+        document.getElementById('destroy-policy').addEventListener('change', (e) => {
+            this.changeDestroyPolicy(e.target.value);
+        });
+
+        // 立即锁定
+        document.getElementById('lock-now').addEventListener('click', () => {
+            this.lockApp({ broadcast: true });
+        });
+
+        // 安全设置
+        document.getElementById('security-settings').addEventListener('click', () => {
+            this.showSecurityDialog();
+        });
+
+        document.getElementById('network-settings').addEventListener('click', () => {
+            this.showNetworkDialog();
+        });
+
+        document.getElementById('network-profile').addEventListener('change', (e) => {
+            this.selectNetworkProfile(e.target.value);
+        });
+
+        document.getElementById('network-save').addEventListener('click', () => {
+            this.saveNetworkSettings();
+        });
+
+        document.getElementById('network-cancel').addEventListener('click', () => {
+            this.hideNetworkDialog();
+        });
+
+        // 连接 ID 冲突
+        document.getElementById('id-conflict-takeover').addEventListener('click', () => {
+            this.takeOverIdentity();
+        });
+
+        document.getElementById('id-conflict-retry').addEventListener('click', () => {
+            this.hideIdConflictDialog();
+            this.connectNetwork();
+        });
+
+        document.getElementById('id-conflict-network').addEventListener('click', () => {
+            this.hideIdConflictDialog();
+            this.showNetworkDialog();
+        });
+
+        document.getElementById('id-conflict-new-identity').addEventListener('click', () => {
+            this.replaceIdentity();
+        });
+
+        document.getElementById('id-conflict-close').addEventListener('click', () => {
+            this.hideIdConflictDialog();
+        });
+
+        // 网络初始化因暂时性故障失败后，浏览器重新联网时立即重试
+        window.addEventListener('online', () => {
+            if (this.networkRetryTimer && this.session.isUnlocked()) {
+                this.connectNetwork();
+            }
+        });
+
+        document.getElementById('security-save').addEventListener('click', () => {
+            this.saveSecuritySettings();
+        });
+
+        document.getElementById('export-backup').addEventListener('click', () => {
+            this.exportBackup();
+        });
+
+        document.getElementById('duress-clear').addEventListener('click', () => {
+            this.clearDuressPassphrase();
+        });
+
+        document.getElementById('security-cancel').addEventListener('click', () => {
+            this.hideSecurityDialog();
+        });
+
+        // 修改口令
+        document.getElementById('change-passphrase').addEventListener('click', () => {
+            this.showPassphraseDialog();
+        });
+
+        document.getElementById('passphrase-save').addEventListener('click', () => {
+            this.changePassphrase();
+        });
+
+        document.getElementById('passphrase-cancel').addEventListener('click', () => {
+            this.hidePassphraseDialog();
+        });
+
         // 销毁所有数据
         document.getElementById('destroy-all').addEventListener('click', () => {
             this.destroyAllData();
@@ -164,6 +881,17 @@ class P2PChatApp {
     }
 
     setupNetworkHandlers() {
+        // 处理器注册在网络实例上，重新初始化后仍然有效，每个实例只注册一次
+        if (this.networkHandlersFor === this.network) {
+            return;
+        }
+        this.networkHandlersFor = this.network;
+
+        // 连接 ID 被占用时的自动重试
+        this.network.on('network-retry', ({ delay }) => {
+            this.showLoading(`连接 ID 被占用，${Math.round(delay / 1000)} 秒后重试...`);
+        });
+
         // 消息接收处理
         this.network.on('message-received', (data) => {
             this.displayMessage(data.message, data.contact);
@@ -179,7 +907,9 @@ class P2PChatApp {
             
             // 如果当前正在和这个联系人聊天，更新UI状态
             if (this.activeContact && this.activeContact.peerId === contact.peerId) {
+                this.activeContact = contact;
                 this.updateMessageInputState(true);
+                this.updateVerificationStatus(contact);
             }
         });
 
@@ -190,42 +920,144 @@ class P2PChatApp {
             this.showNotification(`${contact.did || contact.peerId} 已连接，正在进行身份交换...`);
         });
 
-        // 数据销毁处理
-        this.network.on('data-destroyed', (peerId) => {
-            this.removeContactFromUI(peerId);
-            this.showNotification(`来自 ${peerId} 的数据已被销毁`);
+        // 在线状态变化
+        this.network.on('presence-changed', () => {
+            this.updateContactsList();
+        });
+
+        // 消息保存后立即显示（普通消息此时处于排队状态，之后通过 message-status 更新）
+        this.network.on('message-sent', (data) => {
+            if (this.activeContact && this.activeContact.peerId === data.message.contactPeerId) {
+                this.displayMessage(data.message, data.contact);
+            }
+        });
+
+        // 消息投递状态变化
+        this.network.on('message-status', (data) => {
+            this.updateMessageStatus(data.messageId, data.status);
+        });
+
+        // 自毁消息已销毁（本地阅后销毁或对方回送的销毁通知）
+        this.network.on('message-burned', (data) => {
+            this.clearBurnTimer(data.messageId);
+            if (data.contact) {
+                this.showNotification(`${data.contact.did || data.contact.peerId} 已阅读并销毁了你的自毁消息`);
+                this.updateMessageElement(data.messageId, '自毁消息 (对方已阅读并销毁)');
+            } else {
+                this.removeMessageElement(data.messageId);
+            }
+        });
+
+        // 联系人出示了与固定密钥不同的密钥
+        this.network.on('contact-key-changed', (contact) => {
+            this.updateContactsList();
+            this.showNotification(`⚠️ ${contact.did || contact.peerId} 的密钥已变更，已暂停与其通信`);
+
+            if (this.activeContact && this.activeContact.peerId === contact.peerId) {
+                this.activeContact = contact;
+                this.updateKeyChangeBanner(contact);
+                this.updateVerificationStatus(contact);
+                this.updateMessageInputState(false);
+            }
+        });
+
+        // 对方出示的密钥与邀请中的不符
+        this.network.on('invite-mismatch', (contact) => {
+            this.showNotification(`⚠️ ${contact.name || contact.peerId} 的密钥与邀请不符，已拒绝连接`);
+        });
+
+        // 联系人人工验证状态变更
+        this.network.on('contact-verification-changed', (contact) => {
+            if (this.activeContact && this.activeContact.peerId === contact.peerId) {
+                this.activeContact = contact;
+                this.updateVerificationStatus(contact);
+            }
+            this.updateContactsList();
+        });
+
+        // 会话保留策略变更
+        this.network.on('retention-changed', (data) => {
+            if (this.activeContact && this.activeContact.peerId === data.contact.peerId) {
+                this.activeContact = data.contact;
+                this.updateRetentionSelector(data.contact);
+                this.displayMessage(data.message, data.contact);
+            }
+            this.showNotification(data.message.content);
+        });
+
+        // 同一身份在其他页面中被接管，本页面已断开网络
+        this.network.on('identity-taken-over', () => {
+            this.updateContactsList();
+            this.updateMessageInputState(false);
+            this.showNotification('该身份已在其他页面中接管，本页面已断开网络', 8000);
+        });
+
+        // 数据销毁处理
+        this.network.on('data-destroyed', (peerId) => {
+            this.removeContactFromUI(peerId);
+            this.showNotification(`来自 ${peerId} 的数据已被销毁`);
+        });
+
+        // 策略为询问时由用户决定是否执行对方的销毁命令
+        this.network.on('destroy-requested', ({ contact, nonce }) => {
+            const name = contact.name || contact.did || contact.peerId;
+            const accept = confirm(`${name} 请求销毁你保存的与其相关的所有聊天数据，是否同意？`);
+            this.network.respondToDestroyRequest(nonce, accept).catch(error => {
+                this.showNotification(`处理销毁请求失败: ${error.message}`);
+            });
+        });
+
+        this.network.on('destroy-refused', ({ contact }) => {
+            this.showNotification(`已按策略拒绝 ${contact.name || contact.did || contact.peerId} 的销毁请求`);
+        });
+
+        // 对方对我们发出的销毁命令的确认结果
+        this.network.on('destroy-acknowledged', ({ name, result }) => {
+            const text = {
+                destroyed: '已销毁聊天数据',
+                declined: '拒绝了销毁请求',
+                refused: '的设置拒绝了销毁请求'
+            }[result];
+            this.showNotification(`${name} ${text}`);
+        });
+    }
+
+    setupExpiryHandlers() {
+        this.expiry.on('expired', ({ removed }) => {
+            const expiredMessages = removed.filter(record => record.storeName === 'messages');
+            if (expiredMessages.length === 0) {
+                return;
+            }
+
+            expiredMessages.forEach(record => {
+                this.clearBurnTimer(record.id);
+                if (this.activeContact && this.activeContact.peerId === record.contactPeerId) {
+                    this.removeMessageElement(record.id);
+                }
+            });
+
+            this.showNotification(`${expiredMessages.length} 条消息已过期并被删除`);
         });
     }
 
-    // 生成新身份
+    // 生成新身份（由助记词派生，并显示助记词供用户备份）
     async generateIdentity() {
         try {
             this.showLoading('正在生成身份...');
             
-            const identity = this.crypto.generateIdentity();
-            this.currentUser = identity;
-            this.crypto.currentUser = identity;
-            
-            await this.storage.saveIdentity(identity);
-            
-            // 显示身份信息
-            document.getElementById('user-did').textContent = identity.did;
-            document.getElementById('identity-display').classList.remove('hidden');
+            const { identity, mnemonic } = await this.crypto.generateMnemonicIdentity();
             
-            // 初始化网络
-            try {
-                this.showLoading('正在初始化网络...');
-                await this.network.init(identity);
-                this.setupNetworkHandlers();
-                this.hideLoading();
-                this.showNotification('身份创建成功！');
-            } catch (error) {
-                console.error('网络初始化失败:', error);
-                this.hideLoading();
-                this.showNotification(`网络初始化失败: ${error.message}`);
-                throw error;
-            }
+            const wordList = document.getElementById('mnemonic-words');
+            wordList.innerHTML = '';
+            mnemonic.split(' ').forEach(word => {
+                const item = document.createElement('li');
+                item.textContent = word;
+                wordList.appendChild(item);
+            });
+            document.getElementById('mnemonic-backup').classList.remove('hidden');
             
+            await this.activateIdentity(identity);
+            this.showNotification('身份创建成功！请先备份助记词');
         } catch (error) {
             console.error('生成身份失败:', error);
             this.hideLoading();
@@ -234,20 +1066,113 @@ class P2PChatApp {
         }
     }
 
+    // 从助记词恢复身份
+    async restoreIdentity() {
+        const input = document.getElementById('restore-mnemonic');
+        try {
+            this.showLoading('正在恢复身份...');
+            const identity = await this.crypto.restoreIdentityFromMnemonic(input.value);
+            input.value = '';
+            await this.activateIdentity(identity);
+            this.showNotification('身份已恢复');
+        } catch (error) {
+            console.error('恢复身份失败:', error);
+            this.hideLoading();
+            this.showNotification(`恢复身份失败: ${error.message}`);
+        }
+    }
+
+    // 导出加密备份文件
+    async exportBackup() {
+        const input = document.getElementById('backup-passphrase');
+        try {
+            this.showLoading('正在加密备份...');
+            const backup = await this.storage.exportBackup(input.value);
+            input.value = '';
+
+            const blob = new Blob([backup], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `yhys-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.hideLoading();
+            this.showNotification('备份已导出，请妥善保管文件和备份口令');
+        } catch (error) {
+            this.hideLoading();
+            this.showNotification(`导出备份失败: ${error.message}`);
+        }
+    }
+
+    // 从备份文件恢复身份、联系人和消息
+    async importBackup() {
+        const fileInput = document.getElementById('backup-file');
+        const passphraseInput = document.getElementById('import-passphrase');
+        const file = fileInput.files[0];
+        if (!file) {
+            this.showNotification('请选择备份文件');
+            return;
+        }
+
+        try {
+            this.showLoading('正在解密备份...');
+            const report = await this.storage.importBackup(await file.text(), passphraseInput.value);
+            passphraseInput.value = '';
+            fileInput.value = '';
+
+            report.conflicts.forEach(conflict => {
+                console.warn('备份冲突:', conflict.peerId, conflict.reason);
+            });
+
+            await this.activateIdentity(await this.storage.getIdentity());
+
+            this.showNotification(
+                `备份已导入：新增 ${report.contactsAdded} 个联系人，合并 ${report.contactsMerged} 个，` +
+                `导入 ${report.messagesAdded} 条消息，跳过 ${report.messagesSkipped} 条重复或过期消息` +
+                (report.conflicts.length > 0 ? `；${report.conflicts.length} 个联系人存在冲突，已保留本地数据` : ''),
+                8000
+            );
+        } catch (error) {
+            console.error('导入备份失败:', error);
+            this.hideLoading();
+            this.showNotification(`导入备份失败: ${error.message}`);
+        }
+    }
+
+    // 保存新身份并初始化网络
+    async activateIdentity(identity) {
+        await this.storage.saveIdentity(identity);
+        identity = await this.session.activate(identity);
+        
+        // 显示身份信息
+        document.getElementById('user-did').textContent = identity.did;
+        document.getElementById('identity-actions').classList.add('hidden');
+        document.getElementById('identity-display').classList.remove('hidden');
+        
+        // 初始化网络（失败时身份已保存，由 connectNetwork 提示或重试）
+        await this.connectNetwork();
+    }
+
     // 显示身份设置界面
     showIdentitySetup() {
-        document.getElementById('identity-setup').classList.add('active');
-        document.getElementById('chat-interface').classList.remove('active');
+        this.showScreen('identity-setup');
     }
 
     // 显示聊天界面
     showChatInterface() {
-        document.getElementById('identity-setup').classList.remove('active');
-        document.getElementById('chat-interface').classList.add('active');
+        this.showScreen('chat-interface');
         
         document.getElementById('current-user').textContent = this.currentUser.did;
         this.loadContacts();
         this.updateMessageInputState(false);
+
+        // 通过邀请链接打开时，把邀请码填入添加联系人的输入框
+        if (location.hash.startsWith('#invite=')) {
+            document.getElementById('contact-id').value = location.hash;
+            history.replaceState(null, '', location.pathname + location.search);
+        }
     }
 
     // 验证 PeerId 格式
@@ -274,6 +1199,19 @@ class P2PChatApp {
             return;
         }
 
+        // 邀请链接或邀请码：验证签名后预先固定其中的密钥
+        let invite;
+        try {
+            invite = this.network.parseInvite(contactInput);
+        } catch (error) {
+            this.showNotification(`邀请无效: ${error.message}`);
+            return;
+        }
+        if (invite) {
+            await this.addContactFromInvite(invite);
+            return;
+        }
+
         // 检查输入格式
         if (!this.isValidPeerId(contactInput)) {
             this.showNotification('联系人ID格式无效，请检查输入');
@@ -331,6 +1269,89 @@ class P2PChatApp {
         }
     }
 
+    // 通过邀请添加联系人（连接失败时保留联系人和固定的密钥，之后可重试）
+    async addContactFromInvite(invite) {
+        try {
+            const contact = await this.network.addInviteContact(invite);
+            document.getElementById('contact-id').value = '';
+            this.contactStatus.set(contact.peerId, 'connecting');
+            this.updateContactsList();
+
+            this.showNotification(`正在连接 ${invite.name}...`);
+            await this.network.connectToPeer(contact.peerId);
+            this.showNotification(`已发起连接到 ${invite.name}，等待身份交换...`);
+        } catch (error) {
+            console.error('通过邀请添加联系人失败:', error);
+            this.showNotification(`添加联系人失败: ${error.message}`);
+            this.contactStatus.delete(invite.peerId);
+            this.updateContactsList();
+        }
+    }
+
+    // 邀请对话框
+    showInviteDialog() {
+        document.getElementById('invite-name').value = this.currentUser ? this.currentUser.did : '';
+        document.getElementById('invite-output').classList.add('hidden');
+        document.getElementById('invite-dialog').classList.remove('hidden');
+    }
+
+    hideInviteDialog() {
+        document.getElementById('invite-link').value = '';
+        document.getElementById('invite-qr').removeAttribute('src');
+        document.getElementById('invite-dialog').classList.add('hidden');
+    }
+
+    // 生成签名邀请链接及其二维码
+    async generateInvite() {
+        if (!this.initialized) {
+            this.showNotification('应用尚未初始化完成，请稍后重试');
+            return;
+        }
+
+        try {
+            const name = document.getElementById('invite-name').value.trim();
+            const ttlHours = parseInt(document.getElementById('invite-ttl').value);
+            const code = await this.network.createInvite(name, ttlHours);
+            const link = `${location.origin}${location.pathname}#invite=${code}`;
+
+            const qr = qrcode(0, 'L');
+            qr.addData(link);
+            qr.make();
+
+            document.getElementById('invite-link').value = link;
+            document.getElementById('invite-qr').src = qr.createDataURL(4, 4);
+            document.getElementById('invite-output').classList.remove('hidden');
+        } catch (error) {
+            this.showNotification(`生成邀请失败: ${error.message}`);
+        }
+    }
+
+    async copyInviteLink() {
+        const link = document.getElementById('invite-link').value;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showNotification('邀请链接已复制');
+        } catch (error) {
+            document.getElementById('invite-link').select();
+            this.showNotification('无法访问剪贴板，请手动复制');
+        }
+    }
+
+    // 从图片识别邀请二维码并添加联系人
+    async scanInviteImage(file) {
+        try {
+            const text = await this.decodeQrImage(file);
+            if (!text) {
+                this.showNotification('未在图片中识别到二维码');
+                return;
+            }
+            document.getElementById('contact-id').value = text;
+            await this.addContact();
+        } catch (error) {
+            this.showNotification(`识别二维码失败: ${error.message}`);
+        }
+    }
+
     // 选择联系人
     async selectContact(contact) {
         this.activeContact = contact;
@@ -338,20 +1359,247 @@ class P2PChatApp {
         await this.loadMessages(contact.peerId);
         
         // 更新消息输入框状态
-        const isReady = contact.publicKey && contact.identityVerified;
+        const isReady = contact.publicKey && contact.identityVerified && !contact.pendingKeyChange;
         this.updateMessageInputState(isReady);
+        this.updateRetentionSelector(contact);
+        this.updateDestroyPolicySelector(contact);
+        this.updateKeyChangeBanner(contact);
+        this.updateVerificationStatus(contact);
         
-        if (!isReady) {
+        if (contact.pendingKeyChange) {
+            this.showNotification('联系人密钥已变更，确认前无法发送消息');
+        } else if (!isReady) {
             this.showNotification('联系人身份交换中，请等待...');
         }
     }
 
+    // 当前联系人有待确认的密钥变更时显示警告横幅
+    updateKeyChangeBanner(contact) {
+        const banner = document.getElementById('key-change-banner');
+        const change = contact && contact.pendingKeyChange;
+        if (!change) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const oldKey = contact.pinnedKeys ? contact.pinnedKeys.publicKey : '';
+        document.getElementById('key-change-detail').textContent =
+            `原密钥 ${oldKey.substring(0, 16)}… → 新密钥 ${change.publicKey.substring(0, 16)}…`;
+        banner.classList.remove('hidden');
+    }
+
+    // 处理当前联系人的密钥变更（accept 为 true 接受新密钥，否则保留原密钥）
+    async resolveKeyChange(accept) {
+        if (!this.activeContact) {
+            return;
+        }
+
+        const peerId = this.activeContact.peerId;
+        if (accept && !confirm('请先通过其他可信渠道确认对方确实更换了密钥。确定接受新密钥吗？')) {
+            return;
+        }
+
+        try {
+            const contact = accept
+                ? await this.network.acceptKeyChange(peerId)
+                : await this.network.rejectKeyChange(peerId);
+            this.activeContact = contact;
+            this.updateKeyChangeBanner(contact);
+            this.updateVerificationStatus(contact);
+            this.updateMessageInputState(accept && !!contact.identityVerified);
+            this.updateContactsList();
+            this.showNotification(accept ? '已接受新密钥' : '已保留原密钥并断开连接');
+        } catch (error) {
+            this.showNotification(`处理密钥变更失败: ${error.message}`);
+        }
+    }
+
+    // 显示当前联系人的人工验证状态
+    updateVerificationStatus(contact) {
+        const status = document.getElementById('verification-status');
+        const button = document.getElementById('show-safety-number');
+        if (!contact) {
+            status.textContent = '';
+            button.disabled = true;
+            return;
+        }
+
+        const verified = this.network.isManuallyVerified(contact);
+        status.textContent = verified ? '✅ 已人工验证' : '未人工验证';
+        status.className = `verification-status ${verified ? 'verified' : 'unverified'}`;
+        button.disabled = !contact.publicKey || !contact.signPublicKey || !!contact.pendingKeyChange;
+    }
+
+    // 安全码对话框
+    async showSafetyDialog() {
+        if (!this.activeContact) {
+            return;
+        }
+
+        try {
+            const { contact, safetyNumber, qrPayload } =
+                await this.network.getSafetyNumber(this.activeContact.peerId);
+            this.activeContact = contact;
+
+            const groups = safetyNumber.match(/\d{5}/g);
+            const container = document.getElementById('safety-number');
+            container.innerHTML = '';
+            groups.forEach(group => {
+                const span = document.createElement('span');
+                span.textContent = group;
+                container.appendChild(span);
+            });
+
+            const qr = qrcode(0, 'M');
+            qr.addData(qrPayload);
+            qr.make();
+            document.getElementById('safety-qr').src = qr.createDataURL(5, 4);
+
+            this.renderSafetyStatus(contact);
+            document.getElementById('safety-dialog').classList.remove('hidden');
+        } catch (error) {
+            this.showNotification(`无法显示安全码: ${error.message}`);
+        }
+    }
+
+    hideSafetyDialog() {
+        document.getElementById('safety-number').innerHTML = '';
+        document.getElementById('safety-qr').removeAttribute('src');
+        document.getElementById('safety-dialog').classList.add('hidden');
+    }
+
+    renderSafetyStatus(contact) {
+        const verified = this.network.isManuallyVerified(contact);
+        const status = document.getElementById('safety-status');
+        if (verified) {
+            const { method, verifiedAt } = contact.manualVerification;
+            status.textContent = `✅ 已于 ${new Date(verifiedAt).toLocaleString()} ${method === 'qr' ? '通过扫码' : '人工'}验证`;
+        } else {
+            status.textContent = '尚未验证';
+        }
+        status.className = `safety-status ${verified ? 'verified' : ''}`;
+        document.getElementById('toggle-verified').textContent = verified ? '取消验证' : '标记为已验证';
+    }
+
+    // 比对数字后手动标记或取消验证
+    async toggleManualVerification() {
+        if (!this.activeContact) {
+            return;
+        }
+
+        const verified = !this.network.isManuallyVerified(this.activeContact);
+        try {
+            const contact = await this.network.setManualVerification(this.activeContact.peerId, verified);
+            this.showNotification(verified ? '已标记为已验证' : '已取消验证');
+            this.renderSafetyStatus(contact);
+        } catch (error) {
+            this.showNotification(`更新验证状态失败: ${error.message}`);
+        }
+    }
+
+    // 从图片文件中识别对方的安全码二维码并校验
+    async scanQrImage(file) {
+        try {
+            const text = await this.decodeQrImage(file);
+            if (!text) {
+                this.showNotification('未在图片中识别到二维码');
+                return;
+            }
+
+            const contact = await this.network.verifyScannedCode(text);
+            this.showNotification(`安全码一致，已验证 ${contact.did || contact.peerId}`);
+            if (this.activeContact && this.activeContact.peerId === contact.peerId) {
+                this.renderSafetyStatus(contact);
+            }
+        } catch (error) {
+            this.showNotification(`验证失败: ${error.message}`);
+        }
+    }
+
+    async decodeQrImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const result = jsQR(image.data, image.width, image.height);
+        return result ? result.data : null;
+    }
+
+    // 将保留策略下拉框同步为联系人的当前策略
+    updateRetentionSelector(contact) {
+        const select = document.getElementById('retention-policy');
+        const ttlHours = contact && contact.retention ? contact.retention.ttlHours : null;
+        const preset = Array.from(select.options).find(option => option.value === String(ttlHours || 0));
+
+        const customOption = select.querySelector('option[value="custom"]');
+        customOption.textContent = preset ? '自定义...' : `自定义 (${ttlHours} 小时)`;
+        select.value = preset ? preset.value : 'custom';
+        select.dataset.current = select.value;
+    }
+
+    // 修改当前会话的保留策略
+    async changeRetentionPolicy(value) {
+        const select = document.getElementById('retention-policy');
+        if (!this.activeContact) {
+            select.value = select.dataset.current || '0';
+            return;
+        }
+
+        let ttlHours = parseInt(value) || null;
+        if (value === 'custom') {
+            const input = prompt('请输入消息保留时间（小时）');
+            ttlHours = parseInt(input);
+            if (!(ttlHours > 0)) {
+                select.value = select.dataset.current || '0';
+                this.showNotification('保留时间无效');
+                return;
+            }
+        }
+
+        try {
+            await this.network.setRetentionPolicy(this.activeContact.peerId, ttlHours);
+        } catch (error) {
+            select.value = select.dataset.current || '0';
+            this.showNotification(`设置保留策略失败: ${error.message}`);
+        }
+    }
+
+    // 将销毁策略下拉框同步为联系人的当前策略
+    updateDestroyPolicySelector(contact) {
+        const select = document.getElementById('destroy-policy');
+        select.disabled = !contact;
+        select.value = this.network.getDestroyPolicy(contact);
+    }
+
+    async changeDestroyPolicy(policy) {
+        if (!this.activeContact) {
+            return;
+        }
+
+        try {
+            this.activeContact = await this.network.setDestroyPolicy(this.activeContact.peerId, policy);
+        } catch (error) {
+            this.updateDestroyPolicySelector(this.activeContact);
+            this.showNotification(`设置销毁策略失败: ${error.message}`);
+        }
+    }
+
     // 更新消息输入框状态
     updateMessageInputState(enabled) {
         const messageText = document.getElementById('message-text');
         const sendButton = document.getElementById('send-message');
         const selfDestructCheck = document.getElementById('self-destruct');
         const ttlInput = document.getElementById('ttl');
+        const viewSecondsInput = document.getElementById('view-seconds');
+        const retentionSelect = document.getElementById('retention-policy');
+        
+        retentionSelect.disabled = !enabled;
         
         if (enabled) {
             messageText.disabled = false;
@@ -359,12 +1607,14 @@ class P2PChatApp {
             sendButton.disabled = false;
             selfDestructCheck.disabled = false;
             ttlInput.disabled = false;
+            viewSecondsInput.disabled = false;
         } else {
             messageText.disabled = true;
             messageText.placeholder = '等待身份交换完成...';
             sendButton.disabled = true;
             selfDestructCheck.disabled = true;
             ttlInput.disabled = true;
+            viewSecondsInput.disabled = true;
         }
     }
 
@@ -375,7 +1625,12 @@ class P2PChatApp {
             return;
         }
 
-        // 检查联系人是否就绪
+        if (this.activeContact.pendingKeyChange) {
+            this.showNotification('联系人密钥已变更，请先确认新密钥');
+            return;
+        }
+
+        // 检查联系人是否就绪（已完成过身份交换的联系人离线时消息会进入发件箱）
         if (!this.activeContact.publicKey || !this.activeContact.identityVerified) {
             this.showNotification('联系人身份交换未完成，请等待...');
             return;
@@ -386,31 +1641,29 @@ class P2PChatApp {
 
         const selfDestruct = document.getElementById('self-destruct').checked;
         const ttlHours = parseInt(document.getElementById('ttl').value) || 24;
+        const viewSeconds = parseInt(document.getElementById('view-seconds').value) || 0;
 
         try {
             this.showNotification('发送消息中...');
             
-            await this.network.sendMessage(
+            // 消息由网络层保存并通过 message-sent 事件显示
+            const result = await this.network.sendMessage(
                 this.activeContact.peerId,
                 messageText, 
                 selfDestruct, 
-                ttlHours
+                ttlHours,
+                viewSeconds
             );
 
-            if (!selfDestruct) {
-                const message = {
-                    contactPeerId: this.activeContact.peerId,
-                    content: messageText,
-                    direction: 'sent',
-                    timestamp: Date.now()
-                };
-                
-                this.displayMessage(message, this.activeContact);
-                await this.storage.saveMessage(message);
+            if (selfDestruct && !result) {
+                this.showNotification('对方不在线，自毁消息未发送');
+                return;
             }
 
             document.getElementById('message-text').value = '';
-            this.showNotification('消息发送成功');
+            this.showNotification(
+                !selfDestruct && result.status === 'queued' ? '对方不在线，消息已放入发件箱' : '消息发送成功'
+            );
             
         } catch (error) {
             this.showNotification(`发送失败: ${error.message}`);
@@ -425,18 +1678,171 @@ class P2PChatApp {
         messageElement.className = `message ${message.direction} ${
             message.isSelfDestruct ? 'self-destruct' : ''
         }`;
+        if (message.id !== undefined) {
+            messageElement.dataset.messageId = message.id;
+        }
         
         const time = new Date(message.timestamp).toLocaleTimeString();
+        
+        // 系统提示（例如保留策略变更）
+        if (message.direction === 'system') {
+            messageElement.innerHTML = `
+                <div class="message-content">${this.escapeHtml(message.content)}</div>
+                <div class="message-time">${time}</div>
+            `;
+            messagesContainer.appendChild(messageElement);
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            return;
+        }
+        
         messageElement.innerHTML = `
             <div class="message-content">${this.escapeHtml(message.content)}</div>
             <div class="message-time">${time}</div>
             ${message.isSelfDestruct ? '<div class="self-destruct-label">💣 自毁消息</div>' : ''}
+            ${message.status ? '<div class="message-status"></div>' : ''}
         `;
         
+        if (message.status) {
+            this.renderMessageStatus(messageElement, message.id, message.status);
+        }
+        
+        // 收到的自毁消息：点击后解密并开始销毁倒计时
+        if (message.isSelfDestruct && message.direction === 'received') {
+            messageElement.classList.add('locked');
+            messageElement.addEventListener('click', () => {
+                this.openSelfDestructMessage(message.id, messageElement);
+            });
+        }
+        
         messagesContainer.appendChild(messageElement);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
+    // 显示发送消息的投递状态，未送达的消息可以手动重试
+    renderMessageStatus(messageElement, messageId, status) {
+        const statusElement = messageElement.querySelector('.message-status');
+        if (!statusElement) {
+            return;
+        }
+
+        const labels = {
+            queued: '🕓 等待发送',
+            sent: '✓ 已发送',
+            delivered: '✓✓ 已送达',
+            failed: '⚠️ 发送失败'
+        };
+        statusElement.className = `message-status ${status}`;
+        statusElement.textContent = labels[status] || status;
+
+        if (status === 'queued' || status === 'failed') {
+            const retryButton = document.createElement('button');
+            retryButton.className = 'retry-message';
+            retryButton.textContent = '重试';
+            retryButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.retryMessage(messageId);
+            });
+            statusElement.appendChild(retryButton);
+        }
+    }
+
+    updateMessageStatus(messageId, status) {
+        const messageElement = this.findMessageElement(messageId);
+        if (messageElement) {
+            this.renderMessageStatus(messageElement, messageId, status);
+        }
+    }
+
+    async retryMessage(messageId) {
+        try {
+            this.showNotification('正在重试发送...');
+            await this.network.retryMessage(messageId);
+        } catch (error) {
+            this.showNotification(`重试失败: ${error.message}`);
+        }
+    }
+
+    // 打开自毁消息
+    async openSelfDestructMessage(messageId, messageElement) {
+        if (!messageElement.classList.contains('locked')) {
+            return;
+        }
+
+        try {
+            const { content, burnAt } = await this.network.openSelfDestructMessage(messageId);
+            messageElement.classList.remove('locked');
+            messageElement.querySelector('.message-content').textContent = content;
+            this.startBurnCountdown(messageId, burnAt);
+        } catch (error) {
+            console.error('打开自毁消息失败:', error);
+            this.showNotification(`无法打开自毁消息: ${error.message}`);
+        }
+    }
+
+    // 销毁倒计时，到期后从界面和存储中删除
+    startBurnCountdown(messageId, burnAt) {
+        this.clearBurnTimer(messageId);
+
+        const tick = () => {
+            const remaining = burnAt - Date.now();
+            if (remaining <= 0) {
+                this.clearBurnTimer(messageId);
+                this.removeMessageElement(messageId);
+                this.network.burnSelfDestructMessage(messageId).catch(error => {
+                    console.error('销毁自毁消息失败:', error);
+                });
+                return;
+            }
+
+            const label = this.findMessageElement(messageId)?.querySelector('.self-destruct-label');
+            if (label) {
+                label.textContent = `${this.formatCountdown(remaining)} 后销毁`;
+            }
+        };
+
+        tick();
+        if (burnAt > Date.now()) {
+            this.burnTimers.set(messageId, setInterval(tick, 1000));
+        }
+    }
+
+    clearBurnTimer(messageId) {
+        const timer = this.burnTimers.get(messageId);
+        if (timer) {
+            clearInterval(timer);
+            this.burnTimers.delete(messageId);
+        }
+    }
+
+    // 格式化剩余时间
+    formatCountdown(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    }
+
+    findMessageElement(messageId) {
+        return Array.from(document.querySelectorAll('#chat-messages .message'))
+            .find(el => el.dataset.messageId === String(messageId));
+    }
+
+    updateMessageElement(messageId, content) {
+        const element = this.findMessageElement(messageId);
+        if (element) {
+            element.querySelector('.message-content').textContent = content;
+        }
+    }
+
+    removeMessageElement(messageId) {
+        const element = this.findMessageElement(messageId);
+        if (element) {
+            element.remove();
+        }
+    }
+
     // 加载联系人
     async loadContacts() {
         this.updateContactsList();
@@ -466,7 +1872,13 @@ class P2PChatApp {
             let statusText = '🔴 离线';
             let statusClass = 'offline';
             
-            if (contact.connected) {
+            // 在线状态以网络层的内存状态为准，存储中的 connected 字段在重启后可能已过期
+            const presence = this.network.getPresence(contact.peerId);
+            
+            if (contact.pendingKeyChange) {
+                statusText = '⚠️ 密钥已变更';
+                statusClass = 'key-changed';
+            } else if (presence.status === 'online') {
                 if (contact.publicKey && contact.identityVerified) {
                     statusText = '🟢 在线';
                     statusClass = 'online-ready';
@@ -474,16 +1886,24 @@ class P2PChatApp {
                     statusText = '🟡 交换身份中...';
                     statusClass = 'online-connecting';
                 }
+            } else if (presence.status === 'connecting') {
+                statusText = '🟡 正在连接...';
+                statusClass = 'online-connecting';
+            } else if (presence.lastSeen) {
+                statusText = `🔴 离线（最后在线 ${new Date(presence.lastSeen).toLocaleTimeString()}）`;
             }
             
-            const displayId = contact.did && contact.did !== '等待身份交换...' ? 
-                contact.did : contact.peerId;
+            const displayId = contact.name ||
+                (contact.did && contact.did !== '等待身份交换...' ? contact.did : contact.peerId);
             
             contactElement.innerHTML = `
                 <div class="contact-info">
-                    <div class="contact-name">${displayId}</div>
-                    <div class="contact-status ${statusClass}">${statusText}</div>
+                    <div class="contact-name">${this.escapeHtml(displayId)}</div>
+                    <div class="contact-status ${statusClass}">${statusText}${
+                        this.network.isManuallyVerified(contact) ? '<span class="verified-badge" title="已人工验证">✅</span>' : ''
+                    }</div>
                     ${!contact.publicKey ? '<div class="contact-warning">⚠️ 身份交换中</div>' : ''}
+                    ${contact.pendingKeyChange ? '<div class="contact-warning key-change">⚠️ 密钥已变更，需确认</div>' : ''}
                 </div>
                 <button class="destroy-contact" data-peerid="${contact.peerId}">🗑️</button>
             `;
@@ -524,6 +1944,13 @@ class P2PChatApp {
         }
         
         messages.forEach(message => {
+            // 已过销毁时间但尚未删除的自毁消息（例如页面在倒计时中被关闭）
+            if (message.burnAt && message.burnAt <= Date.now()) {
+                this.network.burnSelfDestructMessage(message.id).catch(error => {
+                    console.error('销毁自毁消息失败:', error);
+                });
+                return;
+            }
             this.displayMessage(message, { peerId: did });
         });
     }
@@ -540,7 +1967,7 @@ class P2PChatApp {
             // 向所有在线联系人发送销毁命令
             const contacts = await this.storage.getContacts();
             for (const contact of contacts) {
-                if (contact.connected) {
+                if (this.network.getPresence(contact.peerId).status === 'online') {
                     try {
                         await this.network.sendDestroyCommand(contact.peerId);
                     } catch (error) {
@@ -549,10 +1976,9 @@ class P2PChatApp {
                 }
             }
 
-            // 销毁本地所有数据
-            await this.storage.destroyAllData();
-            this.network.destroy();
-            this.crypto.secureWipe();
+            // 销毁本地所有数据，其他标签页随之停止
+            this.tabs.broadcast('wipe');
+            await this.session.destroy();
             
             // 重新加载页面
             location.reload();
@@ -573,9 +1999,10 @@ class P2PChatApp {
         }
 
         try {
-            // 发送销毁命令
+            // 发送销毁命令，对方的处理结果稍后通过 destroy-acknowledged 通知
+            let sent = false;
             try {
-                await this.network.sendDestroyCommand(contactPeerId);
+                sent = await this.network.sendDestroyCommand(contactPeerId);
             } catch (error) {
                 console.error('发送销毁命令失败:', error);
             }
@@ -585,7 +2012,9 @@ class P2PChatApp {
             
             // 更新UI
             this.removeContactFromUI(contactPeerId);
-            this.showNotification(`已销毁与 ${contactName} 的聊天数据`);
+            this.showNotification(sent
+                ? `已销毁与 ${contactName} 的聊天数据，等待对方确认`
+                : `已销毁与 ${contactName} 的聊天数据（对方不在线，未通知对方）`);
             
         } catch (error) {
             this.showNotification(`销毁失败: ${error.message}`);
@@ -598,6 +2027,9 @@ class P2PChatApp {
             this.activeContact = null;
             document.getElementById('chat-messages').innerHTML = '';
             this.updateMessageInputState(false);
+            this.updateKeyChangeBanner(null);
+            this.updateVerificationStatus(null);
+            this.updateDestroyPolicySelector(null);
         }
         this.contactStatus.delete(contactPeerId);
         this.updateContactsList();
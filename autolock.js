@@ -0,0 +1,95 @@
+// 自动锁定：无操作超时或标签页隐藏时触发 'lock' 事件
+export class AutoLock {
+    constructor(options = {}) {
+        this.idleMinutes = options.idleMinutes ?? 5;
+        this.lockOnHide = options.lockOnHide ?? false;
+        this.checkInterval = options.checkInterval || 10 * 1000;
+        this.lastActivity = Date.now();
+        this.timer = null;
+        this.started = false;
+        this.eventHandlers = new Map();
+        this.activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+        this.recordActivity = this.recordActivity.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    // 更新配置（idleMinutes 为 0 表示不按空闲时间锁定）
+    configure({ idleMinutes, lockOnHide }) {
+        if (idleMinutes !== undefined) {
+            this.idleMinutes = idleMinutes;
+        }
+        if (lockOnHide !== undefined) {
+            this.lockOnHide = lockOnHide;
+        }
+        this.recordActivity();
+    }
+
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+        this.recordActivity();
+        this.activityEvents.forEach(event => {
+            document.addEventListener(event, this.recordActivity, { passive: true });
+        });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.timer = setInterval(() => this.check(), this.checkInterval);
+    }
+
+    stop() {
+        this.started = false;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.activityEvents.forEach(event => {
+            document.removeEventListener(event, this.recordActivity);
+        });
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    recordActivity() {
+        this.lastActivity = Date.now();
+    }
+
+    // 检查是否超过空闲时间
+    check() {
+        if (!this.started || !(this.idleMinutes > 0)) {
+            return;
+        }
+
+        if (Date.now() - this.lastActivity >= this.idleMinutes * 60 * 1000) {
+            this.emit('lock', 'idle');
+        }
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            if (this.lockOnHide) {
+                this.emit('lock', 'hidden');
+            }
+        } else {
+            // 后台标签页的定时器会被节流，回到前台时立即检查一次
+            this.check();
+        }
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}
@@ -1,24 +1,34 @@
-class CryptoManager {
+import { BIP39_WORDLIST } from './wordlist.js';
+
+export class CryptoManager {
     constructor() {
         this.keyPair = null;
+        this.signKeyPair = null;
         this.sharedSecrets = new Map();
         this.currentUser = null;
     }
 
     // 生成身份密钥对 - 修复版本
     generateIdentity() {
-        // 使用 TweetNaCl 生成密钥对
+        // 使用 TweetNaCl 生成加密密钥对 (Curve25519)
         this.keyPair = nacl.box.keyPair();
+        // 单独生成签名密钥对 (Ed25519)，box 密钥不能用于签名
+        this.signKeyPair = nacl.sign.keyPair();
         
-        // 生成符合 PeerJS 要求的 ID 格式
-        const peerId = this.generatePeerId(this.keyPair.publicKey);
-        
-        // 生成显示用的 DID
-        const did = this.generateDisplayDID(this.keyPair.publicKey);
+        return this.buildIdentity();
+    }
+
+    // 由当前密钥对构造身份
+    buildIdentity() {
+        // 由签名公钥生成 did:key，再由 DID 派生 PeerJS ID，双方都可以验证
+        const did = this.generateDID(this.signKeyPair.publicKey);
+        const peerId = this.generatePeerId(did);
         
         const identity = {
             publicKey: nacl.util.encodeBase64(this.keyPair.publicKey),
             privateKey: nacl.util.encodeBase64(this.keyPair.secretKey),
+            signPublicKey: nacl.util.encodeBase64(this.signKeyPair.publicKey),
+            signPrivateKey: nacl.util.encodeBase64(this.signKeyPair.secretKey),
             did: did,
             peerId: peerId
         };
@@ -27,8 +37,98 @@ class CryptoManager {
         return identity;
     }
 
-    // 生成符合 PeerJS 要求的 ID
-    generatePeerId(publicKey) {
+    // 生成助记词并由其派生身份，返回 { identity, mnemonic }
+    async generateMnemonicIdentity() {
+        const mnemonic = await this.entropyToMnemonic(nacl.randomBytes(16));
+        const identity = await this.restoreIdentityFromMnemonic(mnemonic);
+        return { identity, mnemonic };
+    }
+
+    // 从助记词恢复身份：同一助记词总是得到相同的密钥、peerId 和 DID
+    async restoreIdentityFromMnemonic(mnemonic) {
+        const normalized = this.normalizeMnemonic(mnemonic);
+        await this.mnemonicToEntropy(normalized);
+
+        const seed = await this.mnemonicToSeed(normalized);
+        const boxSecretKey = this.hkdf(seed, null, 'YHYS-Identity-Box', 32);
+        const signSeed = this.hkdf(seed, null, 'YHYS-Identity-Sign', 32);
+        seed.fill(0);
+
+        this.keyPair = nacl.box.keyPair.fromSecretKey(boxSecretKey);
+        this.signKeyPair = nacl.sign.keyPair.fromSeed(signSeed);
+        signSeed.fill(0);
+
+        return this.buildIdentity();
+    }
+
+    normalizeMnemonic(mnemonic) {
+        return (mnemonic || '').normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+    }
+
+    // 熵转助记词（BIP39：熵后附 SHA-256 校验位，每 11 位对应一个单词）
+    async entropyToMnemonic(entropy) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+        const bits = this.bytesToBits(entropy) + this.bytesToBits(hash).slice(0, entropy.length / 4);
+
+        const words = [];
+        for (let i = 0; i < bits.length; i += 11) {
+            words.push(BIP39_WORDLIST[parseInt(bits.slice(i, i + 11), 2)]);
+        }
+        return words.join(' ');
+    }
+
+    // 助记词转回熵，并检查单词和校验和
+    async mnemonicToEntropy(mnemonic) {
+        const words = this.normalizeMnemonic(mnemonic).split(' ');
+        if (![12, 15, 18, 21, 24].includes(words.length)) {
+            throw new Error('助记词应为 12、15、18、21 或 24 个单词');
+        }
+
+        const bits = words.map(word => {
+            const index = BIP39_WORDLIST.indexOf(word);
+            if (index < 0) {
+                throw new Error(`无效的助记词单词: ${word}`);
+            }
+            return index.toString(2).padStart(11, '0');
+        }).join('');
+
+        const checksumLength = bits.length / 33;
+        const entropyBits = bits.slice(0, bits.length - checksumLength);
+        const entropy = new Uint8Array(entropyBits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', entropy));
+        if (this.bytesToBits(hash).slice(0, checksumLength) !== bits.slice(-checksumLength)) {
+            throw new Error('助记词校验失败，请检查是否有拼写或顺序错误');
+        }
+        return entropy;
+    }
+
+    // 助记词转种子（BIP39：PBKDF2-HMAC-SHA512，2048 次迭代）
+    async mnemonicToSeed(mnemonic) {
+        const key = await crypto.subtle.importKey(
+            'raw', nacl.util.decodeUTF8(this.normalizeMnemonic(mnemonic)), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            salt: nacl.util.decodeUTF8('mnemonic'),
+            iterations: 2048,
+            hash: 'SHA-512'
+        }, key, 512);
+        return new Uint8Array(bits);
+    }
+
+    bytesToBits(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(2).padStart(8, '0')).join('');
+    }
+
+    // 由 DID 派生 PeerJS ID：DID 的 SHA-512 前 20 字节做 base58 编码（只含字母和数字）
+    generatePeerId(did) {
+        const digest = nacl.hash(nacl.util.decodeUTF8(did));
+        return this.encodeBase58(digest.slice(0, 20));
+    }
+
+    // 旧版 PeerJS ID：由加密公钥前 16 字节生成（已迁移的身份仍沿用）
+    generateLegacyPeerId(publicKey) {
         // 取公钥的前16字节
         const keyBytes = publicKey.slice(0, 16);
         let base64 = nacl.util.encodeBase64(keyBytes);
@@ -48,14 +148,95 @@ class CryptoManager {
         return base64.substring(0, 63);
     }
 
-    // 生成显示用的 DID（仅用于显示）
-    generateDisplayDID(publicKey) {
-        const keyBytes = publicKey.slice(0, 8); // 只取前8字节用于显示
-        const hash = nacl.util.encodeBase64(keyBytes)
-            .replace(/\+/g, '-')
-            .replace(/\//g, '_')
-            .replace(/=/g, '');
-        return `did:peer:1:${hash.substring(0, 12)}`;
+    // 生成 did:key 标识符：multicodec ed25519-pub (0xed 0x01) + 公钥，multibase base58btc ('z')
+    generateDID(signPublicKey) {
+        const keyBytes = this.toKeyBytes(signPublicKey);
+        return `did:key:z${this.encodeBase58(this.concatBytes(new Uint8Array([0xed, 0x01]), keyBytes))}`;
+    }
+
+    // 解析 did:key，返回其中的 Ed25519 公钥（base64），格式不正确时返回 null
+    resolveDID(did) {
+        const match = /^did:key:z([1-9A-HJ-NP-Za-km-z]+)$/.exec(did || '');
+        if (!match) {
+            return null;
+        }
+
+        const bytes = this.decodeBase58(match[1]);
+        if (!bytes || bytes.length !== 34 || bytes[0] !== 0xed || bytes[1] !== 0x01) {
+            return null;
+        }
+        return nacl.util.encodeBase64(bytes.slice(2));
+    }
+
+    // 验证握手中的 ID、DID 与密钥是否互相绑定。
+    // 旧版 ID 只由加密公钥推导，无法约束签名密钥和 DID：只接受已固定签名公钥且与之一致的联系人
+    verifyIdentityBinding(peerId, did, publicKey, signPublicKey, pinnedSignPublicKey = null) {
+        if (!publicKey || this.resolveDID(did) !== signPublicKey) {
+            return false;
+        }
+        if (peerId === this.generatePeerId(did)) {
+            return true;
+        }
+        if (!pinnedSignPublicKey || pinnedSignPublicKey !== signPublicKey) {
+            return false;
+        }
+
+        try {
+            return peerId === this.generateLegacyPeerId(nacl.util.decodeBase64(publicKey));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    encodeBase58(bytes) {
+        const alphabet = CryptoManager.BASE58_ALPHABET;
+        const digits = [];
+        bytes.forEach(byte => {
+            let carry = byte;
+            for (let i = 0; i < digits.length; i++) {
+                carry += digits[i] << 8;
+                digits[i] = carry % 58;
+                carry = (carry / 58) | 0;
+            }
+            while (carry > 0) {
+                digits.push(carry % 58);
+                carry = (carry / 58) | 0;
+            }
+        });
+
+        let result = '';
+        for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+            result += alphabet[0];
+        }
+        for (let i = digits.length - 1; i >= 0; i--) {
+            result += alphabet[digits[i]];
+        }
+        return result;
+    }
+
+    decodeBase58(text) {
+        const alphabet = CryptoManager.BASE58_ALPHABET;
+        const bytes = [];
+        for (const char of text) {
+            let carry = alphabet.indexOf(char);
+            if (carry < 0) {
+                return null;
+            }
+            for (let i = 0; i < bytes.length; i++) {
+                carry += bytes[i] * 58;
+                bytes[i] = carry & 0xff;
+                carry >>= 8;
+            }
+            while (carry > 0) {
+                bytes.push(carry & 0xff);
+                carry >>= 8;
+            }
+        }
+
+        for (let i = 0; i < text.length && text[i] === alphabet[0]; i++) {
+            bytes.push(0);
+        }
+        return new Uint8Array(bytes.reverse());
     }
 
     // 获取公钥
@@ -63,6 +244,11 @@ class CryptoManager {
         return this.keyPair ? nacl.util.encodeBase64(this.keyPair.publicKey) : null;
     }
 
+    // 获取签名公钥
+    getSigningPublicKey() {
+        return this.signKeyPair ? nacl.util.encodeBase64(this.signKeyPair.publicKey) : null;
+    }
+
     // 计算共享密钥
     computeSharedSecret(theirPublicKeyBase64) {
         const theirPublicKey = nacl.util.decodeBase64(theirPublicKeyBase64);
@@ -103,14 +289,114 @@ class CryptoManager {
         }
     }
 
-    // 生成自毁消息密钥
+    // 原始 X25519 DH 运算（棘轮会话使用）
+    dh(secretKey, publicKey) {
+        return nacl.scalarMult(secretKey, publicKey);
+    }
+
+    // 拼接多个字节数组
+    concatBytes(...arrays) {
+        const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const arr of arrays) {
+            result.set(arr, offset);
+            offset += arr.length;
+        }
+        return result;
+    }
+
+    // HMAC-SHA512（TweetNaCl 未提供 HMAC，按 RFC 2104 构造）
+    hmac(key, data) {
+        const blockSize = 128;
+        if (key.length > blockSize) {
+            key = nacl.hash(key);
+        }
+
+        const paddedKey = new Uint8Array(blockSize);
+        paddedKey.set(key);
+
+        const inner = new Uint8Array(blockSize + data.length);
+        const outer = new Uint8Array(blockSize + 64);
+        for (let i = 0; i < blockSize; i++) {
+            inner[i] = paddedKey[i] ^ 0x36;
+            outer[i] = paddedKey[i] ^ 0x5c;
+        }
+        inner.set(data, blockSize);
+        outer.set(nacl.hash(inner), blockSize);
+
+        return nacl.hash(outer);
+    }
+
+    // HKDF-SHA512（RFC 5869）
+    hkdf(inputKey, salt, info, length) {
+        const prk = this.hmac(salt || new Uint8Array(64), inputKey);
+        const infoBytes = typeof info === 'string' ? nacl.util.decodeUTF8(info) : info;
+        const output = new Uint8Array(length);
+
+        let previous = new Uint8Array(0);
+        let offset = 0;
+        for (let counter = 1; offset < length; counter++) {
+            previous = this.hmac(prk, this.concatBytes(previous, infoBytes, new Uint8Array([counter])));
+            const chunk = previous.slice(0, Math.min(previous.length, length - offset));
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return output;
+    }
+
+    // 生成自毁消息密钥（返回字节数组，使用后可以擦除）
     generateSelfDestructKey() {
-        return nacl.util.encodeBase64(nacl.randomBytes(32));
+        return nacl.randomBytes(nacl.secretbox.keyLength);
+    }
+
+    // 自毁密钥可以是字节数组或 base64 字符串
+    toKeyBytes(key) {
+        return typeof key === 'string' ? nacl.util.decodeBase64(key) : key;
+    }
+
+    // 用接收方公钥封装自毁密钥（临时密钥对，发送方事后也无法解开）
+    sealSelfDestructKey(selfDestructKey, recipientPublicKey) {
+        const ephemeral = nacl.box.keyPair();
+        const nonce = nacl.randomBytes(nacl.box.nonceLength);
+        const sealed = nacl.box(
+            this.toKeyBytes(selfDestructKey),
+            nonce,
+            nacl.util.decodeBase64(recipientPublicKey),
+            ephemeral.secretKey
+        );
+        ephemeral.secretKey.fill(0);
+
+        return {
+            sealed: nacl.util.encodeBase64(sealed),
+            nonce: nacl.util.encodeBase64(nonce),
+            ephemeralPublicKey: nacl.util.encodeBase64(ephemeral.publicKey)
+        };
+    }
+
+    // 用自己的私钥解开封装的自毁密钥
+    openSelfDestructKey(sealedKey) {
+        if (!this.keyPair) {
+            throw new Error('没有可用的密钥对');
+        }
+
+        try {
+            return nacl.box.open(
+                nacl.util.decodeBase64(sealedKey.sealed),
+                nacl.util.decodeBase64(sealedKey.nonce),
+                nacl.util.decodeBase64(sealedKey.ephemeralPublicKey),
+                this.keyPair.secretKey
+            );
+        } catch (error) {
+            console.error('解开自毁密钥错误:', error);
+            return null;
+        }
     }
 
     // 用自毁密钥加密
     encryptWithSelfDestructKey(message, selfDestructKey) {
-        const key = nacl.util.decodeBase64(selfDestructKey);
+        const key = this.toKeyBytes(selfDestructKey);
         const nonce = nacl.randomBytes(24);
         const messageBytes = nacl.util.decodeUTF8(message);
         
@@ -125,7 +411,7 @@ class CryptoManager {
     // 用自毁密钥解密
     decryptWithSelfDestructKey(encryptedData, selfDestructKey) {
         try {
-            const key = nacl.util.decodeBase64(selfDestructKey);
+            const key = this.toKeyBytes(selfDestructKey);
             const nonce = nacl.util.decodeBase64(encryptedData.nonce);
             const encrypted = nacl.util.decodeBase64(encryptedData.encrypted);
             
@@ -141,18 +427,18 @@ class CryptoManager {
         }
     }
 
-    // 签名消息（可选功能）
+    // 签名消息 (使用 Ed25519 签名密钥)
     signMessage(message) {
-        if (!this.keyPair) {
-            throw new Error('没有可用的密钥对');
+        if (!this.signKeyPair) {
+            throw new Error('没有可用的签名密钥对');
         }
         
         const messageBytes = nacl.util.decodeUTF8(message);
-        const signature = nacl.sign.detached(messageBytes, this.keyPair.secretKey);
+        const signature = nacl.sign.detached(messageBytes, this.signKeyPair.secretKey);
         return nacl.util.encodeBase64(signature);
     }
 
-    // 验证签名（可选功能）
+    // 验证签名 (publicKey 为对方的 Ed25519 签名公钥)
     verifySignature(message, signature, publicKey) {
         try {
             const messageBytes = nacl.util.decodeUTF8(message);
@@ -166,6 +452,42 @@ class CryptoManager {
         }
     }
 
+    // 计算单方指纹：对 ID 与两把公钥迭代哈希，取 30 位数字
+    computeFingerprint(peerId, publicKey, signPublicKey) {
+        const keyBytes = this.concatBytes(
+            nacl.util.decodeBase64(publicKey),
+            nacl.util.decodeBase64(signPublicKey)
+        );
+        let digest = this.concatBytes(new Uint8Array([0, 1]), keyBytes, nacl.util.decodeUTF8(peerId));
+        for (let i = 0; i < 5200; i++) {
+            digest = nacl.hash(this.concatBytes(digest, keyBytes));
+        }
+
+        // 每 5 个字节转成 5 位数字，共 6 组
+        let digits = '';
+        for (let offset = 0; offset < 30; offset += 5) {
+            let value = 0;
+            for (let i = 0; i < 5; i++) {
+                value = value * 256 + digest[offset + i];
+            }
+            digits += String(value % 100000).padStart(5, '0');
+        }
+        return digits;
+    }
+
+    // 计算与联系人之间的安全码（60 位数字），双方按相同顺序拼接，结果一致
+    computeSafetyNumber(theirPeerId, theirPublicKey, theirSignPublicKey) {
+        if (!this.currentUser || !this.signKeyPair) {
+            throw new Error('身份未初始化');
+        }
+
+        const fingerprints = [
+            this.computeFingerprint(this.currentUser.peerId, this.getPublicKey(), this.getSigningPublicKey()),
+            this.computeFingerprint(theirPeerId, theirPublicKey, theirSignPublicKey)
+        ].sort();
+        return fingerprints.join('');
+    }
+
     // 安全擦除内存中的密钥
     secureWipe() {
         if (this.keyPair) {
@@ -178,7 +500,16 @@ class CryptoManager {
                 console.warn('安全擦除时出错:', e);
             }
         }
+        if (this.signKeyPair) {
+            try {
+                this.signKeyPair.secretKey.fill(0);
+                this.signKeyPair.publicKey.fill(0);
+            } catch (e) {
+                console.warn('安全擦除签名密钥时出错:', e);
+            }
+        }
         this.keyPair = null;
+        this.signKeyPair = null;
         this.sharedSecrets.clear();
         this.currentUser = null;
     }
@@ -197,8 +528,33 @@ class CryptoManager {
                 secretKey: privateKey,
                 publicKey: publicKey
             };
-            
-            this.currentUser = identityData;
+
+            // 旧版身份没有签名密钥，补充生成一对
+            // 身份被升级时 currentUser 是新对象，调用方需要重新保存身份
+            if (identityData.signPrivateKey) {
+                const signSecretKey = nacl.util.decodeBase64(identityData.signPrivateKey);
+                this.signKeyPair = nacl.sign.keyPair.fromSecretKey(signSecretKey);
+                this.currentUser = identityData;
+            } else {
+                this.signKeyPair = nacl.sign.keyPair();
+                this.currentUser = {
+                    ...identityData,
+                    signPublicKey: nacl.util.encodeBase64(this.signKeyPair.publicKey),
+                    signPrivateKey: nacl.util.encodeBase64(this.signKeyPair.secretKey)
+                };
+            }
+
+            // 旧版显示用 DID 迁移为 did:key；PeerJS ID 保持不变，避免联系人失联
+            // （旧 ID 仍可由加密公钥验证）
+            const did = this.generateDID(this.signKeyPair.publicKey);
+            if (this.currentUser.did !== did) {
+                this.currentUser = {
+                    ...this.currentUser,
+                    did,
+                    legacyDid: this.currentUser.did
+                };
+            }
+
             return true;
         } catch (error) {
             console.error('加载身份失败:', error);
@@ -208,7 +564,7 @@ class CryptoManager {
 
     // 检查是否已初始化
     isInitialized() {
-        return this.keyPair !== null && this.currentUser !== null;
+        return this.keyPair !== null && this.signKeyPair !== null && this.currentUser !== null;
     }
 
     // 获取当前用户信息
@@ -225,11 +581,15 @@ class CryptoManager {
         return {
             publicKey: this.currentUser.publicKey,
             privateKey: this.currentUser.privateKey,
+            signPublicKey: this.currentUser.signPublicKey,
+            signPrivateKey: this.currentUser.signPrivateKey,
             did: this.currentUser.did,
             peerId: this.currentUser.peerId
         };
     }
 }
 
+CryptoManager.BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
 // 如果你在浏览器控制台看到 "nacl is not defined" 错误，
 // 请确保在 crypto.js 之前加载了 TweetNaCl 库
@@ -0,0 +1,107 @@
+// 过期清理调度器：应用启动时、定时以及页面重新可见时清理所有存储中的过期记录
+export class ExpiryScheduler {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.interval = options.interval || 60 * 1000;
+        this.timer = null;
+        this.running = false;
+        this.started = false;
+        this.eventHandlers = new Map();
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    // 启动调度
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+
+        this.runNow();
+    }
+
+    // 停止调度
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible') {
+            this.runNow();
+        }
+    }
+
+    // 立即执行一次清理，并安排下一次
+    async runNow() {
+        if (this.running || !this.started) {
+            return [];
+        }
+
+        this.running = true;
+        clearTimeout(this.timer);
+
+        let removed = [];
+        try {
+            removed = await this.storage.cleanupExpiredMessages();
+            if (removed.length > 0) {
+                this.emit('expired', { removed, count: removed.length });
+            }
+        } catch (error) {
+            console.error('过期清理失败:', error);
+        } finally {
+            this.running = false;
+        }
+
+        await this.scheduleNext();
+        return removed;
+    }
+
+    // 定时器间隔与最近一条记录的过期时间取较早者，短时消息也能按时删除
+    async scheduleNext() {
+        if (!this.started) {
+            return;
+        }
+
+        let delay = this.interval;
+        try {
+            const nextExpiry = await this.storage.getNextExpiry();
+            if (nextExpiry !== null) {
+                delay = Math.max(0, Math.min(delay, nextExpiry - Date.now() + 50));
+            }
+        } catch (error) {
+            console.error('获取下一次过期时间失败:', error);
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.runNow(), delay);
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,214 @@
+// IndexedDB 存储后端（浏览器默认）：保存 SecureStorage 已加密的记录
+export class IndexedDBBackend {
+    constructor(dbName, version) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        // 数据库被其他实例删除或升级时调用，由 SecureStorage 设置
+        this.onclose = null;
+    }
+
+    open(schema) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onerror = (event) => {
+                console.error('数据库打开失败:', event.target.error);
+                reject(new Error(`数据库初始化失败: ${event.target.error}`));
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+
+                this.db.onerror = (event) => {
+                    console.error('数据库错误:', event.target.error);
+                };
+
+                // 其他实例删除或升级数据库时释放连接，避免其被阻塞
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    if (this.onclose) {
+                        this.onclose();
+                    }
+                };
+
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                console.log('数据库升级中，版本:', event.oldVersion, '->', event.newVersion);
+                this.createStores(event.target.result, event.target.transaction, schema);
+            };
+        });
+    }
+
+    // 创建缺少的对象存储和索引，旧版本升级时同样适用
+    createStores(db, transaction, schema) {
+        Object.entries(schema).forEach(([storeName, options]) => {
+            const store = db.objectStoreNames.contains(storeName)
+                ? transaction.objectStore(storeName)
+                : db.createObjectStore(storeName, {
+                    keyPath: options.keyPath,
+                    autoIncrement: !!options.autoIncrement
+                });
+
+            (options.indexes || []).forEach(indexName => {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, indexName, { unique: false });
+                }
+            });
+        });
+
+        console.log('所有对象存储创建完成');
+    }
+
+    isOpen() {
+        return !!this.db;
+    }
+
+    storeNames() {
+        return Array.from(this.db.objectStoreNames);
+    }
+
+    // 单个请求包装为 Promise
+    request(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    put(storeName, record) {
+        return this.request(storeName, 'readwrite', store => store.put(record));
+    }
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll(storeName) {
+        return (await this.request(storeName, 'readonly', store => store.getAll())) || [];
+    }
+
+    async delete(storeName, key) {
+        await this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async clear(storeName) {
+        await this.request(storeName, 'readwrite', store => store.clear());
+    }
+
+    // 在一个事务中用 transform 改写多个存储的全部记录，并写入额外的记录；任何一步失败都整体回滚
+    rewrite(storeNames, transform, extraWrites = []) {
+        const extraStores = extraWrites.map(write => write.storeName);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([...new Set([...storeNames, ...extraStores])], 'readwrite');
+
+            storeNames.forEach(storeName => {
+                transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        return;
+                    }
+                    try {
+                        cursor.update(transform(storeName, cursor.value));
+                        cursor.continue();
+                    } catch (error) {
+                        transaction.abort();
+                        reject(error);
+                    }
+                };
+            });
+
+            extraWrites.forEach(write => transaction.objectStore(write.storeName).put(write.record));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // 带 expiresAt 索引的对象存储（过期清理会遍历这些存储）
+    getExpiringStoreNames() {
+        const storeNames = this.storeNames();
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        return storeNames.filter(storeName =>
+            transaction.objectStore(storeName).indexNames.contains('expiresAt')
+        );
+    }
+
+    // 删除 expiresAt 不晚于 now 的记录，返回被删除的记录摘要
+    deleteExpired(now) {
+        const storeNames = this.getExpiringStoreNames();
+        if (storeNames.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise((resolve, reject) => {
+            const removed = [];
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            storeNames.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('expiresAt');
+                index.openCursor(IDBKeyRange.upperBound(now)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        removed.push({
+                            storeName,
+                            id: cursor.primaryKey,
+                            contactPeerId: cursor.value.contactPeerId || null
+                        });
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // 最早的 expiresAt
+    nextExpiry() {
+        const storeNames = this.getExpiringStoreNames();
+        if (storeNames.length === 0) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            let next = null;
+            const transaction = this.db.transaction(storeNames, 'readonly');
+
+            storeNames.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('expiresAt');
+                index.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor && (next === null || cursor.key < next)) {
+                        next = cursor.key;
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(next);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // 删除整个数据库
+    destroy() {
+        this.db.close();
+        this.db = null;
+        const deleteRequest = indexedDB.deleteDatabase(this.dbName);
+
+        return new Promise((resolve, reject) => {
+            deleteRequest.onsuccess = () => resolve();
+            deleteRequest.onerror = (event) => {
+                console.error('删除数据库失败:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    }
+}
@@ -0,0 +1,157 @@
+// 内存存储后端：语义与 IndexedDB 后端一致（按主键排序、自增主键、expiresAt 索引），
+// 用于 Node 和测试；进程退出后数据丢失，需要持久化时使用 sdk/file-backend.js
+export class MemoryBackend {
+    constructor() {
+        this.stores = null;
+        this.schema = null;
+        this.onclose = null;
+    }
+
+    async open(schema) {
+        this.schema = schema;
+        if (!this.stores) {
+            this.stores = new Map();
+        }
+        Object.keys(schema).forEach(storeName => {
+            if (!this.stores.has(storeName)) {
+                this.stores.set(storeName, { nextKey: 1, records: new Map() });
+            }
+        });
+    }
+
+    isOpen() {
+        return !!this.stores;
+    }
+
+    storeNames() {
+        return Array.from(this.stores.keys()).sort();
+    }
+
+    getStore(storeName) {
+        const store = this.stores.get(storeName);
+        if (!store) {
+            throw new Error(`对象存储不存在: ${storeName}`);
+        }
+        return store;
+    }
+
+    // 与 IndexedDB 一致：数字主键排在字符串主键之前
+    compareKeys(a, b) {
+        if (typeof a !== typeof b) {
+            return typeof a === 'number' ? -1 : 1;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    // 写入记录的副本，返回主键
+    writeRecord(storeName, record) {
+        const store = this.getStore(storeName);
+        const { keyPath, autoIncrement } = this.schema[storeName];
+        const copy = structuredClone(record);
+
+        let key = copy[keyPath];
+        if (key === undefined || key === null) {
+            if (!autoIncrement) {
+                throw new Error(`记录缺少主键 ${keyPath} (${storeName})`);
+            }
+            key = store.nextKey;
+            copy[keyPath] = key;
+        }
+        if (typeof key === 'number' && key >= store.nextKey) {
+            store.nextKey = Math.floor(key) + 1;
+        }
+
+        store.records.set(key, copy);
+        return key;
+    }
+
+    async put(storeName, record) {
+        const key = this.writeRecord(storeName, record);
+        await this.persist();
+        return key;
+    }
+
+    async get(storeName, key) {
+        const record = this.getStore(storeName).records.get(key);
+        return record === undefined ? undefined : structuredClone(record);
+    }
+
+    async getAll(storeName) {
+        const records = this.getStore(storeName).records;
+        return Array.from(records.keys())
+            .sort((a, b) => this.compareKeys(a, b))
+            .map(key => structuredClone(records.get(key)));
+    }
+
+    async delete(storeName, key) {
+        this.getStore(storeName).records.delete(key);
+        await this.persist();
+    }
+
+    async clear(storeName) {
+        this.getStore(storeName).records.clear();
+        await this.persist();
+    }
+
+    // 先计算出全部新记录再一次性替换，transform 抛出错误时数据保持不变
+    async rewrite(storeNames, transform, extraWrites = []) {
+        const updated = storeNames.map(storeName => {
+            const records = this.getStore(storeName).records;
+            const next = new Map();
+            records.forEach((record, key) => {
+                next.set(key, structuredClone(transform(storeName, structuredClone(record))));
+            });
+            return [storeName, next];
+        });
+
+        updated.forEach(([storeName, records]) => {
+            this.getStore(storeName).records = records;
+        });
+        extraWrites.forEach(write => this.writeRecord(write.storeName, write.record));
+        await this.persist();
+    }
+
+    getExpiringStoreNames() {
+        return this.storeNames().filter(storeName =>
+            (this.schema[storeName].indexes || []).includes('expiresAt')
+        );
+    }
+
+    async deleteExpired(now) {
+        const removed = [];
+        this.getExpiringStoreNames().forEach(storeName => {
+            const records = this.getStore(storeName).records;
+            records.forEach((record, key) => {
+                if (typeof record.expiresAt === 'number' && record.expiresAt <= now) {
+                    removed.push({ storeName, id: key, contactPeerId: record.contactPeerId || null });
+                    records.delete(key);
+                }
+            });
+        });
+
+        if (removed.length > 0) {
+            await this.persist();
+        }
+        return removed;
+    }
+
+    async nextExpiry() {
+        let next = null;
+        this.getExpiringStoreNames().forEach(storeName => {
+            this.getStore(storeName).records.forEach(record => {
+                if (typeof record.expiresAt === 'number' && (next === null || record.expiresAt < next)) {
+                    next = record.expiresAt;
+                }
+            });
+        });
+        return next;
+    }
+
+    // 子类在每次修改后持久化
+    async persist() {
+    }
+
+    async destroy() {
+        this.stores = null;
+    }
+}
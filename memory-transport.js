@@ -0,0 +1,123 @@
+import { Transport } from './transport.js';
+import { TransportConnection } from './transport-connection.js';
+
+// 内存传输：同一进程内的多个实例通过共享的 hub 直接交换数据，不需要 WebRTC 或服务器，用于测试协议逻辑
+export class MemoryTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.hub = options.hub || MemoryTransport.defaultHub;
+        // 模拟网络延迟（毫秒），同一方向上的消息保持顺序
+        this.latency = options.latency ?? 1;
+        this.connections = new Set();
+        this.watched = new Set();
+    }
+
+    listen(peerId) {
+        this.id = peerId;
+        setTimeout(() => this.register(), 0);
+    }
+
+    register() {
+        if (this.destroyed) {
+            return;
+        }
+
+        const existing = this.hub.get(this.id);
+        if (existing && existing !== this && !existing.disconnected) {
+            this.emit('error', this.createError('unavailable-id', `ID 已被占用: ${this.id}`));
+            return;
+        }
+
+        this.hub.set(this.id, this);
+        this.disconnected = false;
+        this.emit('open', this.id);
+        this.notifyPresence(true);
+    }
+
+    connect(peerId) {
+        const local = this.createConnection(peerId);
+
+        setTimeout(() => {
+            const target = this.hub.get(peerId);
+            if (this.disconnected || !target || target.disconnected) {
+                local.fail(this.createError('peer-unavailable', `无法连接到 ${peerId}`));
+                return;
+            }
+
+            const remote = target.createConnection(this.id);
+            local.remote = remote;
+            remote.remote = local;
+            target.emit('connection', remote);
+            remote.markOpen();
+            local.markOpen();
+        }, this.latency);
+
+        return local;
+    }
+
+    createConnection(peerId) {
+        const conn = new TransportConnection(peerId, {
+            send: (data) => {
+                // 与网络传输一样只传递可序列化的数据
+                const copy = JSON.parse(JSON.stringify(data));
+                setTimeout(() => conn.remote && conn.remote.receive(copy), this.latency);
+            },
+            close: () => {
+                setTimeout(() => conn.remote && conn.remote.handleRemoteClose(), this.latency);
+            }
+        });
+        this.connections.add(conn);
+        conn.on('close', () => this.connections.delete(conn));
+        return conn;
+    }
+
+    watch(peerIds) {
+        this.watched = new Set(peerIds);
+        this.watched.forEach(peerId => {
+            const target = this.hub.get(peerId);
+            if (target && !target.disconnected) {
+                this.emit('presence', { peerId, online: true });
+            }
+        });
+    }
+
+    notifyPresence(online) {
+        this.hub.forEach(transport => {
+            if (transport !== this && !transport.disconnected && transport.watched.has(this.id)) {
+                transport.emit('presence', { peerId: this.id, online });
+            }
+        });
+    }
+
+    // 模拟与服务器断开：所有连接关闭，之后可以调用 reconnect()
+    disconnect() {
+        if (this.disconnected) {
+            return;
+        }
+        Array.from(this.connections).forEach(conn => conn.close());
+        this.disconnected = true;
+        this.notifyPresence(false);
+        this.emit('disconnected');
+    }
+
+    reconnect() {
+        if (!this.destroyed && this.disconnected) {
+            setTimeout(() => this.register(), this.latency);
+        }
+    }
+
+    destroy() {
+        if (this.destroyed) {
+            return;
+        }
+        Array.from(this.connections).forEach(conn => conn.close());
+        if (this.hub.get(this.id) === this) {
+            this.hub.delete(this.id);
+            this.notifyPresence(false);
+        }
+        super.destroy();
+    }
+}
+
+// 未指定 hub 时，同一进程内的所有实例共享
+MemoryTransport.defaultHub = new Map();
@@ -0,0 +1,135 @@
+import { P2PNetwork } from './p2p.js';
+import { TabCoordinator } from './tab-coordinator.js';
+
+// 跟随者标签页中代替 P2PNetwork：方法调用转发给领导标签页，领导标签页的网络事件在本地重新触发。
+// 不读写会话状态的工具方法直接复用 P2PNetwork 的实现
+export class NetworkProxy {
+    constructor(coordinator, session) {
+        this.coordinator = coordinator;
+        this.session = session;
+        this.crypto = session.crypto;
+        this.currentIdentity = null;
+        this.initialized = false;
+        this.paused = false;
+        this.destroyed = false;
+        this.presence = new Map();
+        this.messageHandlers = new Map();
+
+        coordinator.on('state', (state) => {
+            if (!this.destroyed) {
+                this.presence = new Map(state.presence);
+            }
+        });
+
+        coordinator.on('remote-event', ({ event, data }) => {
+            if (this.destroyed) {
+                return;
+            }
+            if (event === 'presence-changed') {
+                const { peerId, ...entry } = data;
+                this.presence.set(peerId, entry);
+            }
+            // 锁定期间不向界面传递消息内容，解锁后界面会从存储重新加载
+            if (!this.paused) {
+                this.emit(event, data);
+            }
+        });
+    }
+
+    // 连接到领导标签页并同步在线状态；不传 identity 时使用会话中已加载的身份
+    async init(identity) {
+        if (identity) {
+            await this.session.activate(identity);
+        }
+        this.currentIdentity = this.session.identity;
+        if (this.initialized) {
+            return this.currentIdentity.peerId;
+        }
+
+        let state;
+        try {
+            state = await this.coordinator.requestState();
+        } catch (error) {
+            this.session.setConnectivity(false);
+            throw error;
+        }
+        this.presence = new Map(state.presence);
+        this.initialized = true;
+        this.session.setConnectivity(true);
+        return this.currentIdentity.peerId;
+    }
+
+    // 与 P2PNetwork.connections 对应：领导标签页中在线的联系人
+    get connections() {
+        return new Map(Array.from(this.presence).filter(([, entry]) => entry.status === 'online'));
+    }
+
+    getPresence(peerId) {
+        return this.presence.get(peerId) || { status: 'offline', lastSeen: null, rtt: null };
+    }
+
+    // 网络由领导标签页运行，本标签页锁定只停止向界面传递事件
+    async pause() {
+        this.paused = true;
+        this.currentIdentity = null;
+    }
+
+    async resume(identity) {
+        if (identity) {
+            await this.session.activate(identity);
+        }
+        this.paused = false;
+        this.currentIdentity = this.session.identity;
+        this.session.setConnectivity(true);
+        return 0;
+    }
+
+    async takeOverIdentity(identity) {
+        return this.init(identity);
+    }
+
+    on(event, handler) {
+        if (!this.messageHandlers.has(event)) {
+            this.messageHandlers.set(event, []);
+        }
+        this.messageHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.messageHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+
+    // 只停止本地代理，不影响领导标签页的网络
+    destroy() {
+        this.destroyed = true;
+        this.initialized = false;
+        this.session.setConnectivity(false);
+        this.messageHandlers.clear();
+        this.presence.clear();
+    }
+}
+
+TabCoordinator.REMOTE_METHODS.forEach(method => {
+    NetworkProxy.prototype[method] = function (...args) {
+        return this.coordinator.call(method, args);
+    };
+});
+
+[
+    'buildInvitePayload',
+    'getDestroyPolicy',
+    'getNetworkProfile',
+    'isManuallyVerified',
+    'isTransientError',
+    'normalizeNetworkSettings',
+    'parseInvite'
+].forEach(method => {
+    NetworkProxy.prototype[method] = P2PNetwork.prototype[method];
+});
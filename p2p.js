@@ -1,20 +1,77 @@
-class P2PNetwork {
-    constructor() {
-        this.peer = null;
+import { Session } from './session.js';
+import { DoubleRatchet } from './ratchet.js';
+import { PeerJSTransport } from './peerjs-transport.js';
+import { RelayTransport } from './relay-transport.js';
+
+export class P2PNetwork {
+    constructor(options = {}) {
+        this.transport = null;
+        // 传输工厂：默认按网络设置创建 PeerJS 或 WebSocket 中继传输，测试时可注入内存传输
+        this.createTransport = options.createTransport || (settings => this.createDefaultTransport(settings));
         this.connections = new Map();
         this.messageHandlers = new Map();
-        this.crypto = new CryptoManager();
-        this.storage = new SecureStorage();
+        // 会话上下文：与应用共用身份、CryptoManager 和 SecureStorage，并接收网络层报告的在线状态；
+        // 未传入时按 crypto、storage 选项单独创建（sdk/ 可以注入使用其他存储后端的 SecureStorage）
+        this.session = options.session || new Session({ crypto: options.crypto, storage: options.storage });
+        if (!options.session) {
+            this.session.attach(this);
+        }
+        this.crypto = this.session.crypto;
+        this.storage = this.session.storage;
+        this.ratchet = new DoubleRatchet(this.crypto, this.storage);
         this.pendingIdentityRequests = new Map();
+        // 每个联系人记录的读取-修改-保存依次执行，键为 peerId
+        this.contactQueues = new Map();
+        this.inviteQueue = Promise.resolve();
         this.initialized = false;
         this.currentIdentity = null;
+        this.paused = false;
+        this.inboxKey = null;
+        this.flushingOutbox = new Set();
+        // 投递进行中又有新消息排队的联系人，本轮结束前重新读取发件箱
+        this.outboxFlushRequested = new Set();
+        // 同一条消息的投递和送达确认依次处理，键为消息 ID
+        this.outboxQueues = new Map();
+        this.maxDeliveryAttempts = 5;
+
+        // 销毁命令：已发出等待确认的命令、等待用户决定的请求（均以 nonce 为键），以及命令的有效时间窗口
+        this.pendingDestroyCommands = new Map();
+        this.pendingDestroyRequests = new Map();
+        this.destroyCommandWindow = 5 * 60 * 1000;
+        this.destroyNonceQueue = Promise.resolve();
+        // 锁定前准备的销毁授权：胁迫口令解锁时存储仍处于锁定、身份密钥已擦除，靠它向联系人发送签名的销毁命令。
+        // 授权到期后自动擦除，对方也不再接受
+        this.duressKit = null;
+        this.duressKitTimer = null;
+        this.duressKitLifetime = 24 * 60 * 60 * 1000;
+
+        // 连接管理：在线状态、重连退避和心跳
+        this.presence = new Map();
+        this.reconnectState = new Map();
+        this.dialing = new Set();
+        this.heartbeatTimer = null;
+        this.heartbeatInterval = 15 * 1000;
+        this.heartbeatTimeout = 45 * 1000;
+        this.reconnectBaseDelay = 2 * 1000;
+        this.reconnectMaxDelay = 5 * 60 * 1000;
+        this.signalingAttempts = 0;
+        this.signalingTimer = null;
+        this.handleOnline = this.handleOnline.bind(this);
+
+        // 连接 ID 冲突：本机其他页面通过 BroadcastChannel 应答探测；
+        // 信令服务器上残留的旧会话通常在一分钟内过期，按退避重试的总时长覆盖这段时间
+        this.identityChannel = null;
+        this.identityProbes = new Map();
+        this.identityProbeTimeout = 500;
+        this.unavailableIdRetries = 5;
+        this.cancelRetry = null;
     }
 
-    // 初始化P2P网络
+    // 初始化P2P网络；不传 identity 时使用会话中已加载的身份
     async init(identity) {
         if (this.initialized) {
             console.log('网络已经初始化');
-            return this.peer.id;
+            return this.transport.id;
         }
 
         // 确保存储已初始化
@@ -25,74 +82,360 @@ class P2PNetwork {
             throw new Error(`网络初始化失败: ${error.message}`);
         }
 
-        // 设置当前用户信息
-        this.crypto.currentUser = identity;
-        this.currentIdentity = identity;
+        // 加载当前用户密钥（签名握手需要）
+        try {
+            await this.useIdentity(identity);
+        } catch (error) {
+            throw new Error(`网络初始化失败: ${error.message}`);
+        }
         
-        const peerId = identity.peerId;
+        // 每次启动生成新的会话预密钥
+        this.ratchet.generatePrekey();
         
-        console.log('正在初始化P2P网络，ID:', peerId);
+        const peerId = this.currentIdentity.peerId;
+        this.networkSettings = await this.loadNetworkSettings();
+        this.openIdentityChannel();
+
+        try {
+            return await this.openTransport(peerId);
+        } catch (error) {
+            if (error.type !== 'unavailable-id') {
+                throw error;
+            }
+            return this.handleUnavailableId(peerId);
+        }
+    }
+
+    // 通过会话加载身份，网络层与应用使用同一个 CryptoManager 中的同一份密钥
+    async useIdentity(identity) {
+        if (identity) {
+            await this.session.activate(identity);
+        }
+        if (!this.session.identity) {
+            throw new Error('无法加载身份密钥');
+        }
+        this.currentIdentity = this.session.identity;
+    }
+
+    // 创建传输并注册 ID；失败时释放传输，错误的 type 与传输层一致（unavailable-id、network 等），超时为 timeout
+    openTransport(peerId) {
+        console.log('正在初始化P2P网络，ID:', peerId, '信令服务器:', this.networkSettings.host);
         
-        this.peer = new Peer(peerId, {
-            host: '0.peerjs.com',
-            port: 443,
-            path: '/',
-            secure: true,
-            config: {
-                iceServers: [
-                    { urls: 'stun:stun.l.google.com:19302' },
-                    { urls: 'turn:0.peerjs.com:3478', username: 'peerjs', credential: 'peerjsp' }
-                ]
-            },
-            debug: 2
-        });
+        this.transport = this.createTransport(this.networkSettings);
 
         return new Promise((resolve, reject) => {
+            const fail = (error) => {
+                clearTimeout(timeout);
+                this.shutdownPeer();
+                reject(error);
+            };
+
             const timeout = setTimeout(() => {
-                reject(new Error('P2P网络初始化超时'));
+                fail(this.createNetworkError('timeout', 'P2P网络初始化超时'));
             }, 15000);
 
-            this.peer.on('open', (id) => {
+            this.transport.on('open', (id) => {
+                // 与信令服务器断开后重连成功，重新拨号联系人
+                if (this.initialized) {
+                    console.log('已重新连接信令服务器');
+                    this.signalingAttempts = 0;
+                    this.session.setConnectivity(true);
+                    this.reconnectAll();
+                    return;
+                }
+
                 clearTimeout(timeout);
                 console.log('P2P连接建立，ID:', id);
                 this.setupConnectionHandlers();
                 this.initialized = true;
+                this.startConnectionManager();
+                this.session.setConnectivity(true);
                 resolve(id);
             });
 
-            this.peer.on('error', (error) => {
-                clearTimeout(timeout);
+            this.transport.on('error', (error) => {
                 console.error('P2P错误:', error);
                 
-                if (error.type === 'unavailable-id') {
-                    this.handleUnavailableId(identity).then(resolve).catch(reject);
-                } else {
-                    reject(new Error(`P2P初始化失败: ${error.message}`));
+                // 运行期间的错误（例如对方不在线）由拨号超时和重连逻辑处理
+                if (this.initialized) {
+                    if (this.transport.disconnected) {
+                        this.reconnectSignaling();
+                    }
+                    return;
                 }
+                
+                fail(this.createNetworkError(error.type || 'network', `P2P初始化失败: ${error.message}`));
             });
+
+            this.transport.listen(peerId);
         });
     }
 
-    // 处理ID不可用的情况
-    async handleUnavailableId(identity) {
-        console.log('ID被占用，生成新的身份...');
-        
-        // 生成新的身份
-        const newIdentity = this.crypto.generateIdentity();
-        await this.storage.saveIdentity(newIdentity);
-        
-        // 重新初始化
-        return this.init(newIdentity);
+    // 带类型的网络错误，调用方据此选择恢复方式
+    createNetworkError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+
+    // 网络暂时不可用（断网、信令服务器故障或超时），稍后重试即可恢复
+    isTransientError(error) {
+        return ['network', 'server-error', 'socket-error', 'socket-closed', 'disconnected', 'timeout']
+            .includes(error && error.type);
+    }
+
+    createDefaultTransport(settings) {
+        if (settings.transport === 'relay') {
+            return new RelayTransport({
+                url: `${settings.secure ? 'wss' : 'ws'}://${settings.host}:${settings.port}${settings.path}`
+            });
+        }
+        return new PeerJSTransport(this.buildPeerOptions(settings));
+    }
+
+    // 读取保存的网络设置，无效或缺失时使用默认设置
+    async loadNetworkSettings() {
+        const settings = await this.storage.getSetting('network', this.getNetworkProfile('public'));
+        try {
+            return this.normalizeNetworkSettings(settings);
+        } catch (error) {
+            console.error('网络设置无效，使用默认设置:', error);
+            return this.getNetworkProfile('public');
+        }
+    }
+
+    // 预置的网络配置：public 使用公共 PeerJS 服务器；lan 配合 tools/local-peerserver.js，
+    // 信令服务器与页面由同一个本地进程提供，且不使用 STUN/TURN，适用于隔离网络；
+    // lan-relay 使用同一脚本在下一个端口启动的 WebSocket 中继，适用于 WebRTC 被阻止的情况
+    getNetworkProfile(name) {
+        if (name === 'lan' || name === 'lan-relay') {
+            const secure = location.protocol === 'https:';
+            const port = parseInt(location.port) || (secure ? 443 : 80);
+            return {
+                profile: name,
+                transport: name === 'lan' ? 'peerjs' : 'relay',
+                host: location.hostname,
+                port: name === 'lan' ? port : port + 1,
+                path: name === 'lan' ? '/peerjs' : '/',
+                secure,
+                iceServers: []
+            };
+        }
+
+        return {
+            ...P2PNetwork.DEFAULT_NETWORK_SETTINGS,
+            iceServers: P2PNetwork.DEFAULT_NETWORK_SETTINGS.iceServers.map(server => ({ ...server }))
+        };
+    }
+
+    // 校验网络设置，返回规范化后的副本
+    normalizeNetworkSettings(settings) {
+        const host = String(settings.host || '').trim();
+        if (!/^([a-zA-Z0-9-]+\.)*[a-zA-Z0-9-]+$/.test(host) && !/^\[[0-9a-fA-F:]+\]$/.test(host)) {
+            throw new Error('信令服务器地址无效（只填写主机名或 IP，不含协议和路径）');
+        }
+
+        const port = Number(settings.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error('端口应为 1 到 65535 之间的整数');
+        }
+
+        const path = String(settings.path || '/').trim();
+        if (!path.startsWith('/') || /\s/.test(path)) {
+            throw new Error('路径必须以 / 开头且不能包含空格');
+        }
+
+        if (!Array.isArray(settings.iceServers)) {
+            throw new Error('ICE 服务器列表无效');
+        }
+        const iceServers = settings.iceServers.map(server => {
+            const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+            if (urls.length === 0 || !urls.every(url => /^(stun|turns?):[^\s]+$/.test(url || ''))) {
+                throw new Error(`ICE 服务器地址无效: ${urls.join(', ')}`);
+            }
+            const isTurn = urls.some(url => url.startsWith('turn'));
+            if (isTurn && (!server.username || !server.credential)) {
+                throw new Error(`TURN 服务器需要用户名和密码: ${urls.join(', ')}`);
+            }
+
+            const normalized = { urls: urls.length === 1 ? urls[0] : urls };
+            if (isTurn) {
+                normalized.username = String(server.username);
+                normalized.credential = String(server.credential);
+            }
+            return normalized;
+        });
+
+        return {
+            profile: ['public', 'lan', 'lan-relay'].includes(settings.profile) ? settings.profile : 'custom',
+            transport: settings.transport === 'relay' ? 'relay' : 'peerjs',
+            host,
+            port,
+            path,
+            secure: settings.secure === true,
+            iceServers
+        };
+    }
+
+    buildPeerOptions(settings) {
+        return {
+            host: settings.host,
+            port: settings.port,
+            path: settings.path,
+            secure: settings.secure,
+            config: {
+                iceServers: settings.iceServers
+            },
+            debug: 2
+        };
+    }
+
+    // 校验并保存网络设置，通过重新初始化 Peer 应用；连接失败时恢复原设置
+    async applyNetworkSettings(settings) {
+        const normalized = this.normalizeNetworkSettings(settings);
+        const previous = await this.loadNetworkSettings();
+        await this.storage.saveSetting('network', normalized);
+
+        if (!this.initialized) {
+            return normalized;
+        }
+
+        const identity = this.currentIdentity;
+        this.shutdownPeer();
+        try {
+            await this.init(identity);
+        } catch (error) {
+            console.error('新的网络设置不可用，恢复原设置:', error);
+            this.shutdownPeer();
+            await this.storage.saveSetting('network', previous);
+            try {
+                await this.init(identity);
+            } catch (restoreError) {
+                console.error('恢复网络设置失败:', restoreError);
+            }
+            throw new Error(`无法连接信令服务器: ${error.message}`);
+        }
+
+        this.emit('network-settings-changed', normalized);
+        return normalized;
+    }
+
+    // 连接 ID 被占用时绝不更换身份：本机其他页面持有该身份时交由用户决定是否接管；
+    // 否则多半是上次未正常断开的会话仍占着 ID，按退避重试，次数用完后报告 unavailable-id
+    async handleUnavailableId(peerId) {
+        if (await this.probeIdentityHolder(peerId)) {
+            throw this.createNetworkError('identity-in-use', '该身份已在本机的其他页面中打开');
+        }
+
+        for (let attempt = 0; attempt < this.unavailableIdRetries; attempt++) {
+            const delay = Math.min(this.reconnectBaseDelay * 2 ** attempt, this.reconnectMaxDelay);
+            console.warn(`连接 ID 被占用，${delay}ms 后重试`);
+            this.emit('network-retry', { reason: 'unavailable-id', attempt: attempt + 1, delay });
+            await this.waitForRetry(delay);
+
+            try {
+                return await this.openTransport(peerId);
+            } catch (error) {
+                if (error.type !== 'unavailable-id') {
+                    throw error;
+                }
+            }
+        }
+
+        throw this.createNetworkError('unavailable-id', '连接 ID 仍被占用，可能有其他人正在使用该 ID');
+    }
+
+    // 可被 destroy() 取消的等待
+    waitForRetry(delay) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.cancelRetry = null;
+                resolve();
+            }, delay);
+            this.cancelRetry = () => {
+                clearTimeout(timer);
+                this.cancelRetry = null;
+                reject(this.createNetworkError('cancelled', '网络初始化已取消'));
+            };
+        });
+    }
+
+    // 同一浏览器的其他页面（或同一进程中的其他实例）通过该频道探测和释放身份
+    openIdentityChannel() {
+        if (this.identityChannel || typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+
+        this.identityChannel = new BroadcastChannel('yhys-p2p-identity');
+        // Node 中频道不应阻止进程退出
+        if (this.identityChannel.unref) {
+            this.identityChannel.unref();
+        }
+        this.identityChannel.onmessage = (event) => this.handleIdentityChannelMessage(event.data);
+    }
+
+    handleIdentityChannelMessage(message) {
+        if (message.type === 'held') {
+            const found = this.identityProbes.get(message.nonce);
+            if (found) {
+                found();
+            }
+            return;
+        }
+
+        // 其余消息只针对当前在线的身份（锁定期间仍然在线）
+        if (!this.initialized || !this.transport || message.peerId !== this.transport.id) {
+            return;
+        }
+
+        if (message.type === 'probe') {
+            this.identityChannel.postMessage({ type: 'held', peerId: message.peerId, nonce: message.nonce });
+        } else if (message.type === 'release') {
+            console.warn('身份已在其他页面接管，断开网络');
+            this.shutdownPeer();
+            this.emit('identity-taken-over', message.peerId);
+        }
+    }
+
+    // 询问其他页面是否已持有该身份
+    probeIdentityHolder(peerId) {
+        if (!this.identityChannel) {
+            return Promise.resolve(false);
+        }
+
+        const nonce = nacl.util.encodeBase64(nacl.randomBytes(16));
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.identityProbes.delete(nonce);
+                resolve(false);
+            }, this.identityProbeTimeout);
+
+            this.identityProbes.set(nonce, () => {
+                clearTimeout(timer);
+                this.identityProbes.delete(nonce);
+                resolve(true);
+            });
+            this.identityChannel.postMessage({ type: 'probe', peerId, nonce });
+        });
+    }
+
+    // 用户确认后接管在其他页面中打开的同一身份：通知对方释放连接 ID，再重新初始化
+    async takeOverIdentity(identity) {
+        const peerId = (identity || this.session.identity).peerId;
+        this.openIdentityChannel();
+        if (this.identityChannel) {
+            this.identityChannel.postMessage({ type: 'release', peerId });
+        }
+        return this.init(identity);
     }
 
     // 设置连接处理器
     setupConnectionHandlers() {
-        this.peer.on('connection', (conn) => {
+        this.transport.on('connection', (conn) => {
             console.log('收到连接请求:', conn.peer);
             
             conn.on('open', async () => {
-                this.connections.set(conn.peer, conn);
-                this.setupMessageHandler(conn);
+                this.registerConnection(conn);
                 
                 // 立即发送身份信息
                 await this.sendIdentity(conn);
@@ -102,17 +445,12 @@ class P2PNetwork {
 
             conn.on('close', () => {
                 console.log('连接关闭:', conn.peer);
-                this.connections.delete(conn.peer);
-                this.pendingIdentityRequests.delete(conn.peer);
-                
-                // 更新联系人状态
-                this.updateContactStatus(conn.peer, false);
+                this.handleConnectionClosed(conn);
             });
 
             conn.on('error', (error) => {
                 console.error('连接错误:', error);
-                this.connections.delete(conn.peer);
-                this.pendingIdentityRequests.delete(conn.peer);
+                this.handleConnectionClosed(conn);
             });
         });
     }
@@ -120,12 +458,12 @@ class P2PNetwork {
     // 更新联系人状态
     async updateContactStatus(peerId, connected) {
         try {
-            const contact = await this.storage.getContact(peerId);
+            const contact = await this.updateContact(peerId, contact => contact && {
+                ...contact,
+                connected,
+                lastSeen: Date.now()
+            });
             if (contact) {
-                contact.connected = connected;
-                contact.lastSeen = Date.now();
-                await this.storage.saveContact(contact);
-                
                 this.emit('contact-status-changed', contact);
             }
         } catch (error) {
@@ -133,6 +471,35 @@ class P2PNetwork {
         }
     }
 
+    // 依次读取、修改并保存联系人：同一联系人的更新排队执行，仍在处理的身份消息不会覆盖用户刚修改的设置。
+    // update 收到当前记录（不存在时为 undefined），返回要保存的记录，返回空值时不保存；
+    // 结果为保存的记录或 null。update 中不能再更新同一联系人
+    updateContact(peerId, update) {
+        return this.runQueued(this.contactQueues, peerId, async () => {
+            const contact = update(await this.storage.getContact(peerId));
+            if (!contact) {
+                return null;
+            }
+            await this.storage.saveContact(contact);
+            return contact;
+        });
+    }
+
+    // 按键排队执行异步任务：同一键的任务依次执行，前一个失败不影响后续任务；结果为本任务的结果
+    runQueued(queues, key, task) {
+        const previous = queues.get(key) || Promise.resolve();
+        const run = previous.then(task);
+
+        const queued = run.catch(() => {});
+        queues.set(key, queued);
+        queued.then(() => {
+            if (queues.get(key) === queued) {
+                queues.delete(key);
+            }
+        });
+        return run;
+    }
+
     // 连接到其他用户
     async connectToPeer(peerId) {
         if (this.connections.has(peerId)) {
@@ -143,13 +510,11 @@ class P2PNetwork {
         // 检查是否已有该联系人的完整信息
         const existingContact = await this.storage.getContact(peerId);
         
-        const conn = this.peer.connect(peerId, {
-            reliable: true,
-            serialization: 'json'
-        });
+        const conn = this.transport.connect(peerId);
 
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
+                conn.close();
                 reject(new Error('连接超时'));
             }, 10000);
 
@@ -157,8 +522,7 @@ class P2PNetwork {
                 clearTimeout(timeout);
                 console.log('连接已建立:', peerId);
                 
-                this.connections.set(peerId, conn);
-                this.setupMessageHandler(conn);
+                this.registerConnection(conn);
                 
                 // 立即发送身份信息
                 await this.sendIdentity(conn);
@@ -184,19 +548,263 @@ class P2PNetwork {
 
             conn.on('close', () => {
                 clearTimeout(timeout);
-                this.connections.delete(peerId);
-                this.pendingIdentityRequests.delete(peerId);
-                this.updateContactStatus(peerId, false);
+                this.handleConnectionClosed(conn);
+            });
+        });
+    }
+
+    // 登记已打开的连接
+    registerConnection(conn) {
+        this.connections.set(conn.peer, conn);
+        this.setupMessageHandler(conn);
+        this.resetReconnect(conn.peer);
+        this.setPresence(conn.peer, 'online');
+    }
+
+    // 连接关闭：更新在线状态并安排重连
+    handleConnectionClosed(conn) {
+        // 双方同时拨号时同一联系人可能有两条连接，只处理当前使用的那条
+        if (this.connections.get(conn.peer) !== conn) {
+            return;
+        }
+
+        this.connections.delete(conn.peer);
+        this.pendingIdentityRequests.delete(conn.peer);
+        this.setPresence(conn.peer, 'offline');
+        this.updateContactStatus(conn.peer, false);
+        this.scheduleReconnect(conn.peer);
+    }
+
+    // 启动连接管理：拨号所有已知联系人，并定时发送心跳
+    startConnectionManager() {
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+        }
+        this.transport.on('disconnected', () => {
+            this.session.setConnectivity(false);
+            this.reconnectSignaling();
+        });
+        this.transport.on('presence', ({ peerId, online }) => this.handleTransportPresence(peerId, online));
+
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeats(), this.heartbeatInterval);
+
+        this.reconnectAll();
+    }
+
+    // 拨号所有尚未连接的已知联系人（启动、解锁和网络恢复时）
+    async reconnectAll() {
+        if (this.paused || !this.transport || this.transport.disconnected) {
+            return;
+        }
+
+        let contacts;
+        try {
+            contacts = await this.storage.getContacts();
+        } catch (error) {
+            console.error('读取联系人失败:', error);
+            return;
+        }
+        // 读取期间网络可能已关闭
+        if (!this.initialized || !this.transport) {
+            return;
+        }
+
+        const known = contacts.filter(contact => contact.publicKey);
+        this.transport.watch(known.map(contact => contact.peerId));
+        known
+            .filter(contact => !this.connections.has(contact.peerId))
+            .forEach(contact => {
+                this.resetReconnect(contact.peerId);
+                this.dialContact(contact.peerId);
             });
+    }
+
+    // 拨号单个联系人，失败后按退避重试
+    async dialContact(peerId) {
+        if (!this.initialized || this.paused || this.connections.has(peerId) || this.dialing.has(peerId)) {
+            return;
+        }
+
+        this.dialing.add(peerId);
+        try {
+            // 联系人已被删除时停止重连
+            if (!(await this.storage.getContact(peerId))) {
+                this.resetReconnect(peerId);
+                return;
+            }
+
+            this.setPresence(peerId, 'connecting');
+            await this.connectToPeer(peerId);
+        } catch (error) {
+            console.warn('连接联系人失败:', peerId, error.message);
+            this.setPresence(peerId, 'offline');
+            this.scheduleReconnect(peerId);
+        } finally {
+            this.dialing.delete(peerId);
+        }
+    }
+
+    // 按指数退避安排下一次重连（带随机抖动，避免双方同时拨号）
+    scheduleReconnect(peerId) {
+        if (!this.initialized) {
+            return;
+        }
+
+        const state = this.reconnectState.get(peerId) || { attempts: 0, timer: null };
+        if (state.timer) {
+            return;
+        }
+
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** state.attempts, this.reconnectMaxDelay) *
+            (0.75 + Math.random() * 0.5);
+        state.attempts++;
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            this.dialContact(peerId);
+        }, delay);
+        this.reconnectState.set(peerId, state);
+    }
+
+    resetReconnect(peerId) {
+        const state = this.reconnectState.get(peerId);
+        if (state) {
+            clearTimeout(state.timer);
+            this.reconnectState.delete(peerId);
+        }
+    }
+
+    // 与信令服务器断开（例如切换网络）时按退避重连
+    reconnectSignaling() {
+        if (!this.initialized || !this.transport || this.transport.destroyed || this.signalingTimer) {
+            return;
+        }
+
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** this.signalingAttempts, this.reconnectMaxDelay);
+        this.signalingAttempts++;
+        this.signalingTimer = setTimeout(() => {
+            this.signalingTimer = null;
+            if (this.transport && this.transport.disconnected && !this.transport.destroyed) {
+                this.transport.reconnect();
+            }
+        }, delay);
+    }
+
+    // 浏览器重新联网：立即重连信令服务器和所有联系人
+    handleOnline() {
+        if (!this.initialized || !this.transport) {
+            return;
+        }
+
+        clearTimeout(this.signalingTimer);
+        this.signalingTimer = null;
+        this.signalingAttempts = 0;
+
+        if (this.transport.disconnected && !this.transport.destroyed) {
+            this.transport.reconnect();
+        } else {
+            this.reconnectAll();
+        }
+    }
+
+    // 传输报告联系人上线时立即拨号，不必等待退避计时
+    handleTransportPresence(peerId, online) {
+        if (!online || this.connections.has(peerId)) {
+            return;
+        }
+        this.resetReconnect(peerId);
+        this.dialContact(peerId);
+    }
+
+    // 心跳：向所有连接发送 ping，长时间没有收到任何数据的连接视为已断开
+    sendHeartbeats() {
+        const now = Date.now();
+        Array.from(this.connections.values()).forEach(conn => {
+            const presence = this.presence.get(conn.peer);
+            if (presence && presence.lastSeen && now - presence.lastSeen > this.heartbeatTimeout) {
+                console.warn('心跳超时，关闭连接:', conn.peer);
+                conn.close();
+                // 失效的连接不一定会触发 close 事件
+                this.handleConnectionClosed(conn);
+                return;
+            }
+
+            if (conn.open) {
+                conn.send({ type: 'ping', timestamp: now });
+            }
         });
     }
 
+    // 处理心跳消息，返回 true 表示已处理
+    handleHeartbeat(conn, data) {
+        if (data.type === 'ping') {
+            if (conn.open) {
+                conn.send({ type: 'pong', timestamp: data.timestamp });
+            }
+            return true;
+        }
+        if (data.type === 'pong') {
+            const presence = this.presence.get(conn.peer);
+            if (presence && typeof data.timestamp === 'number') {
+                presence.rtt = Date.now() - data.timestamp;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    // 更新内存中的在线状态（online / connecting / offline）
+    setPresence(peerId, status) {
+        const previous = this.presence.get(peerId);
+        const entry = {
+            status,
+            lastSeen: status === 'online' ? Date.now() : (previous ? previous.lastSeen : null),
+            rtt: status === 'online' && previous ? previous.rtt : null
+        };
+        this.presence.set(peerId, entry);
+
+        if (!previous || previous.status !== status) {
+            this.emit('presence-changed', { peerId, ...entry });
+        }
+    }
+
+    // 收到任何数据都说明对方在线
+    markSeen(peerId) {
+        const presence = this.presence.get(peerId);
+        if (presence && presence.status === 'online') {
+            presence.lastSeen = Date.now();
+        } else {
+            this.setPresence(peerId, 'online');
+        }
+    }
+
+    getPresence(peerId) {
+        return this.presence.get(peerId) || { status: 'offline', lastSeen: null, rtt: null };
+    }
+
     // 设置消息处理器
     setupMessageHandler(conn) {
         conn.on('data', async (data) => {
+            this.markSeen(conn.peer);
+            // 心跳不含敏感内容，锁定期间也照常应答
+            if (data && this.handleHeartbeat(conn, data)) {
+                return;
+            }
+
             try {
+                // 锁定期间只把消息加密放入收件箱，解锁后再处理
+                if (this.paused) {
+                    await this.storage.enqueueInbox(this.inboxKey, { peerId: conn.peer, data });
+                    return;
+                }
                 await this.handleMessage(conn.peer, data);
             } catch (error) {
+                // 处理过程中被锁定（存储密钥已擦除），放回收件箱等待解锁后重试
+                if (this.paused) {
+                    await this.storage.enqueueInbox(this.inboxKey, { peerId: conn.peer, data })
+                        .catch(queueError => console.error('消息放入收件箱失败:', queueError));
+                    return;
+                }
                 console.error('消息处理错误:', error);
             }
         });
@@ -204,50 +812,58 @@ class P2PNetwork {
 
     // 发送身份信息
     async sendIdentity(conn) {
+        // 锁定期间没有签名密钥，解锁后会重新发送
+        if (this.paused) {
+            return;
+        }
+
         if (!this.currentIdentity) {
             console.error('当前用户身份未设置');
             return;
         }
 
+        // 通过邀请添加的联系人，在对方确认前随身份信息带上一次性令牌
+        const contact = await this.storage.getContact(conn.peer);
+        const invite = contact && contact.invite;
+        const payload = this.buildIdentityPayload({
+            ...this.currentIdentity,
+            prekey: this.ratchet.getPrekeyPublic(),
+            inviteToken: invite && !invite.redeemed ? invite.token : undefined
+        }, Date.now());
         const identityMsg = {
             type: 'identity',
-            peerId: this.currentIdentity.peerId,
-            did: this.currentIdentity.did,
-            publicKey: this.currentIdentity.publicKey,
-            timestamp: Date.now(),
-            signature: this.signIdentity(this.currentIdentity)
+            ...payload,
+            signature: this.signIdentity(payload)
         };
         
         console.log('发送身份信息给:', conn.peer);
         conn.send(identityMsg);
     }
 
-    // 签名身份信息
-    signIdentity(identity) {
-        const data = JSON.stringify({
+    // 构造待签名的身份载荷（字段顺序固定，双方据此序列化）
+    buildIdentityPayload(identity, timestamp) {
+        return {
             peerId: identity.peerId,
             did: identity.did,
             publicKey: identity.publicKey,
-            timestamp: Date.now()
-        });
-        
-        const dataBytes = nacl.util.decodeUTF8(data);
-        const signature = nacl.sign.detached(dataBytes, this.crypto.keyPair.secretKey);
-        return nacl.util.encodeBase64(signature);
+            signPublicKey: identity.signPublicKey,
+            prekey: identity.prekey,
+            inviteToken: identity.inviteToken,
+            timestamp: timestamp
+        };
     }
 
-    // 验证身份签名
-    verifyIdentity(data, signature, publicKey) {
-        try {
-            const dataBytes = nacl.util.decodeUTF8(JSON.stringify(data));
-            const signatureBytes = nacl.util.decodeBase64(signature);
-            const publicKeyBytes = nacl.util.decodeBase64(publicKey);
-            
-            return nacl.sign.detached.verify(dataBytes, signatureBytes, publicKeyBytes);
-        } catch (error) {
-            console.error('身份验证失败:', error);
+    // 签名身份信息
+    signIdentity(payload) {
+        return this.crypto.signMessage(JSON.stringify(payload));
+    }
+
+    // 验证身份签名
+    verifyIdentity(payload, signature, signPublicKey) {
+        if (!signature || !signPublicKey) {
             return false;
         }
+        return this.crypto.verifySignature(JSON.stringify(payload), signature, signPublicKey);
     }
 
     // 处理接收到的消息
@@ -271,10 +887,26 @@ class P2PNetwork {
                 await this.handleSelfDestructMessage(peerId, data);
                 break;
                 
+            case 'retention-policy':
+                await this.handleRetentionPolicy(peerId, data);
+                break;
+                
+            case 'self-destruct-burned':
+                await this.handleBurnNotice(peerId, data);
+                break;
+                
             case 'destroy-command':
                 await this.handleDestroyCommand(peerId, data);
                 break;
                 
+            case 'destroy-ack':
+                await this.handleDestroyAck(peerId, data);
+                break;
+                
+            case 'delivery-ack':
+                await this.handleDeliveryAck(peerId, data);
+                break;
+                
             default:
                 console.warn('未知消息类型:', data.type);
         }
@@ -284,34 +916,96 @@ class P2PNetwork {
     async handleIdentity(peerId, data) {
         console.log('收到身份信息来自:', peerId, data);
         
-        // 验证身份签名
-        const isValid = this.verifyIdentity(
-            {
+        // 验证身份签名：按发送方相同的字段顺序重建载荷
+        const payload = this.buildIdentityPayload(data, data.timestamp);
+        const isValid = this.verifyIdentity(payload, data.signature, data.signPublicKey);
+
+        // DID 必须解析出签名公钥，且连接 ID 可由 DID 推导；
+        // 旧版 ID 由加密公钥推导，此时签名公钥还必须与已固定的一致
+        const pinnedKeys = this.getPinnedKeys(await this.storage.getContact(peerId));
+        const isBound = this.crypto.verifyIdentityBinding(
+            peerId, data.did, data.publicKey, data.signPublicKey, pinnedKeys && pinnedKeys.signPublicKey
+        );
+        if (!isValid || !isBound || data.peerId !== peerId || !data.prekey) {
+            console.error('身份信息验证失败:', peerId);
+            return;
+        }
+
+        // 对方通过我们的邀请连接时，令牌必须有效且未被其他人使用
+        if (data.inviteToken && !(await this.redeemInvite(data.inviteToken, peerId))) {
+            console.error('邀请令牌无效或已被使用，拒绝连接:', peerId);
+            this.closeConnection(peerId);
+            return;
+        }
+
+        // 首次验证通过的密钥会被固定（TOFU），之后出现不同的密钥视为密钥变更
+        let inviteMismatch = null;
+        let keyChanged = false;
+        const contact = await this.updateContact(peerId, existingContact => {
+            const pinnedKeys = this.getPinnedKeys(existingContact);
+
+            // 邀请中预先固定的密钥与握手不符，直接拒绝而不是当作密钥变更
+            if (existingContact && existingContact.invite && !existingContact.invite.redeemed &&
+                (pinnedKeys.publicKey !== data.publicKey || pinnedKeys.signPublicKey !== data.signPublicKey)) {
+                inviteMismatch = existingContact;
+                return null;
+            }
+
+            if (pinnedKeys &&
+                (pinnedKeys.publicKey !== data.publicKey || pinnedKeys.signPublicKey !== data.signPublicKey)) {
+                keyChanged = true;
+                return this.recordKeyChange(existingContact, pinnedKeys, data);
+            }
+
+            // 保存或更新联系人信息（保留已有的会话设置）
+            return {
+                ...existingContact,
                 peerId: data.peerId,
                 did: data.did,
                 publicKey: data.publicKey,
-                timestamp: data.timestamp
-            },
-            data.signature,
-            data.publicKey
-        );
+                signPublicKey: data.signPublicKey,
+                pinnedKeys: pinnedKeys || {
+                    publicKey: data.publicKey,
+                    signPublicKey: data.signPublicKey,
+                    pinnedAt: Date.now()
+                },
+                keyHistory: (existingContact && existingContact.keyHistory) || [],
+                connected: true,
+                lastSeen: Date.now(),
+                identityVerified: !(existingContact && existingContact.pendingKeyChange)
+            };
+        });
 
-        if (!isValid) {
-            console.error('身份信息验证失败:', peerId);
+        if (inviteMismatch) {
+            console.error('对方密钥与邀请不符，拒绝连接:', peerId);
+            this.closeConnection(peerId);
+            this.emit('invite-mismatch', inviteMismatch);
             return;
         }
 
-        // 保存或更新联系人信息
-        const contact = {
-            peerId: data.peerId,
-            did: data.did,
-            publicKey: data.publicKey,
-            connected: true,
-            lastSeen: Date.now(),
-            identityVerified: true
-        };
-
-        await this.storage.saveContact(contact);
+        if (keyChanged) {
+            console.warn('联系人密钥已变更，已阻止通信:', peerId);
+            this.emit('contact-key-changed', contact);
+            return;
+        }
+        
+        // 仍有未处理的密钥变更时，在用户确认前不恢复通信
+        if (contact.pendingKeyChange) {
+            this.emit('contact-key-changed', contact);
+            return;
+        }
+        
+        // 用对方签名过的预密钥建立（或沿用）前向保密会话
+        const isNewSession = await this.ratchet.establishSession(contact, data.prekey);
+        
+        // 建立了新会话时回送身份信息，确保对方也拿到我们当前的预密钥
+        // （例如我们解锁后更换了预密钥，而对方没有重新连接）
+        if (isNewSession) {
+            const conn = this.connections.get(peerId);
+            if (conn) {
+                await this.sendIdentity(conn);
+            }
+        }
         
         // 标记身份交换完成
         const pendingRequest = this.pendingIdentityRequests.get(peerId);
@@ -320,113 +1014,1033 @@ class P2PNetwork {
             this.pendingIdentityRequests.set(peerId, pendingRequest);
         }
 
-        // 发送身份确认
-        await this.sendIdentityAck(peerId);
-        
-        // 通知应用层
-        this.emit('contact-identity-ready', contact);
-        this.emit('contact-connected', contact);
-        
-        console.log('身份交换完成:', peerId);
+        // 发送身份确认
+        await this.sendIdentityAck(peerId);
+        
+        // 通知应用层
+        this.emit('contact-identity-ready', contact);
+        this.emit('contact-connected', contact);
+        
+        console.log('身份交换完成:', peerId);
+        
+        // 重新连上后投递发件箱中的消息
+        await this.flushOutbox(peerId);
+    }
+
+    // 获取联系人已固定的密钥；旧版本保存的已验证联系人以当前密钥作为固定密钥
+    getPinnedKeys(contact) {
+        if (!contact) {
+            return null;
+        }
+        if (contact.pinnedKeys) {
+            return contact.pinnedKeys;
+        }
+        if (contact.identityVerified && contact.publicKey && contact.signPublicKey) {
+            return {
+                publicKey: contact.publicKey,
+                signPublicKey: contact.signPublicKey,
+                pinnedAt: contact.lastSeen || Date.now()
+            };
+        }
+        return null;
+    }
+
+    // 记录密钥变更：不覆盖固定的密钥，阻止通信直到用户确认；返回修改后的联系人记录，由调用方保存
+    recordKeyChange(contact, pinnedKeys, data) {
+        const previous = contact.pendingKeyChange;
+        const keyHistory = contact.keyHistory || [];
+        const isSameChange = previous &&
+            previous.publicKey === data.publicKey && previous.signPublicKey === data.signPublicKey;
+
+        if (!isSameChange) {
+            if (previous) {
+                keyHistory.filter(entry => entry.status === 'pending')
+                    .forEach(entry => { entry.status = 'superseded'; });
+            }
+            keyHistory.push({
+                previousPublicKey: pinnedKeys.publicKey,
+                publicKey: data.publicKey,
+                signPublicKey: data.signPublicKey,
+                did: data.did,
+                detectedAt: Date.now(),
+                status: 'pending'
+            });
+        }
+
+        contact.pinnedKeys = pinnedKeys;
+        contact.keyHistory = keyHistory;
+        contact.pendingKeyChange = {
+            did: data.did,
+            publicKey: data.publicKey,
+            signPublicKey: data.signPublicKey,
+            prekey: data.prekey,
+            detectedAt: isSameChange ? previous.detectedAt : Date.now()
+        };
+        contact.identityVerified = false;
+        contact.connected = true;
+        contact.lastSeen = Date.now();
+        return contact;
+    }
+
+    // 更新密钥变更历史中待处理条目的状态
+    resolveKeyHistory(contact, status) {
+        (contact.keyHistory || []).filter(entry => entry.status === 'pending').forEach(entry => {
+            entry.status = status;
+            entry.resolvedAt = Date.now();
+        });
+    }
+
+    // 用户确认接受新密钥
+    async acceptKeyChange(peerId) {
+        let change = null;
+        const contact = await this.updateContact(peerId, contact => {
+            change = contact && contact.pendingKeyChange;
+            if (!change) {
+                throw new Error('没有待确认的密钥变更');
+            }
+
+            contact.did = change.did;
+            contact.publicKey = change.publicKey;
+            contact.signPublicKey = change.signPublicKey;
+            contact.pinnedKeys = {
+                publicKey: change.publicKey,
+                signPublicKey: change.signPublicKey,
+                pinnedAt: Date.now()
+            };
+            contact.pendingKeyChange = null;
+            contact.identityVerified = true;
+            // 人工验证针对的是旧密钥，新密钥需要重新核对安全码
+            contact.manuallyVerified = false;
+            contact.manualVerification = null;
+            this.resolveKeyHistory(contact, 'accepted');
+            return contact;
+        });
+
+        // 旧密钥下建立的会话不再使用
+        await this.storage.deleteSession(peerId);
+
+        const conn = this.connections.get(peerId);
+        if (conn && conn.open) {
+            await this.ratchet.establishSession(contact, change.prekey);
+            await this.sendIdentity(conn);
+            await this.sendIdentityAck(peerId);
+        }
+
+        this.emit('contact-identity-ready', contact);
+        await this.flushOutbox(peerId);
+        return contact;
+    }
+
+    // 用户拒绝新密钥：保留原固定密钥，并断开出示新密钥的连接
+    async rejectKeyChange(peerId) {
+        const contact = await this.updateContact(peerId, contact => {
+            if (!contact || !contact.pendingKeyChange) {
+                throw new Error('没有待确认的密钥变更');
+            }
+
+            contact.pendingKeyChange = null;
+            contact.identityVerified = false;
+            this.resolveKeyHistory(contact, 'rejected');
+            return contact;
+        });
+
+        this.closeConnection(peerId);
+
+        this.emit('contact-status-changed', contact);
+        return contact;
+    }
+
+    // 获取与联系人之间的安全码及用于二维码的内容
+    async getSafetyNumber(peerId) {
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.publicKey || !contact.signPublicKey) {
+            throw new Error('尚未获得该联系人的密钥');
+        }
+        if (contact.pendingKeyChange) {
+            throw new Error('联系人密钥已变更，请先确认新密钥');
+        }
+
+        const safetyNumber = this.crypto.computeSafetyNumber(
+            contact.peerId, contact.publicKey, contact.signPublicKey
+        );
+        return {
+            contact,
+            safetyNumber,
+            qrPayload: `YHYS-VERIFY:1:${this.currentIdentity.peerId}:${safetyNumber}`
+        };
+    }
+
+    // 人工验证只对验证时的密钥有效
+    isManuallyVerified(contact) {
+        const verification = contact && contact.manualVerification;
+        return !!(contact && contact.manuallyVerified && verification &&
+            verification.publicKey === contact.publicKey &&
+            verification.signPublicKey === contact.signPublicKey);
+    }
+
+    // 设置联系人的人工验证状态（method 为 'manual' 或 'qr'）
+    async setManualVerification(peerId, verified, method = 'manual') {
+        const contact = await this.updateContact(peerId, contact => {
+            if (!contact || !contact.publicKey || !contact.signPublicKey) {
+                throw new Error('尚未获得该联系人的密钥');
+            }
+            if (verified && contact.pendingKeyChange) {
+                throw new Error('联系人密钥已变更，请先确认新密钥');
+            }
+
+            contact.manuallyVerified = !!verified;
+            contact.manualVerification = verified ? {
+                publicKey: contact.publicKey,
+                signPublicKey: contact.signPublicKey,
+                method,
+                verifiedAt: Date.now()
+            } : null;
+            return contact;
+        });
+
+        this.emit('contact-verification-changed', contact);
+        return contact;
+    }
+
+    // 校验扫描到的二维码内容，与本地计算的安全码一致时标记为已验证
+    async verifyScannedCode(text) {
+        const match = /^YHYS-VERIFY:1:([^:]+):(\d{60})$/.exec((text || '').trim());
+        if (!match) {
+            throw new Error('不是有效的安全码二维码');
+        }
+
+        const [, peerId, scannedNumber] = match;
+        const { safetyNumber } = await this.getSafetyNumber(peerId);
+        if (scannedNumber !== safetyNumber) {
+            throw new Error('安全码不一致，对方的密钥可能被冒充');
+        }
+
+        return this.setManualVerification(peerId, true, 'qr');
+    }
+
+    // 关闭与某个用户的连接
+    closeConnection(peerId) {
+        const conn = this.connections.get(peerId);
+        if (conn) {
+            conn.close();
+        }
+    }
+
+    // 构造待签名的邀请载荷（字段顺序固定）
+    buildInvitePayload(invite) {
+        return {
+            v: 1,
+            peerId: invite.peerId,
+            did: invite.did,
+            publicKey: invite.publicKey,
+            signPublicKey: invite.signPublicKey,
+            name: invite.name,
+            expiresAt: invite.expiresAt,
+            token: invite.token
+        };
+    }
+
+    // 生成签名邀请码（base64url 编码），令牌记录在本地，只能使用一次
+    async createInvite(name, ttlHours = 24) {
+        if (!this.currentIdentity) {
+            throw new Error('身份未初始化');
+        }
+        // 对方没有固定过我们的密钥，旧版 ID 无法证明与邀请中的签名密钥绑定
+        if (this.currentIdentity.peerId !== this.crypto.generatePeerId(this.currentIdentity.did)) {
+            throw new Error('旧版 ID 只能与已固定其密钥的联系人通信，无法创建邀请');
+        }
+
+        const now = Date.now();
+        const payload = this.buildInvitePayload({
+            ...this.currentIdentity,
+            name: name || this.currentIdentity.did,
+            expiresAt: now + ttlHours * 60 * 60 * 1000,
+            token: nacl.util.encodeBase64(nacl.randomBytes(16))
+        });
+
+        // 顺便清理已过期且未使用的令牌
+        await this.updateIssuedInvites(invites => {
+            Object.keys(invites).forEach(token => {
+                if (!invites[token].redeemedBy && invites[token].expiresAt < now) {
+                    delete invites[token];
+                }
+            });
+            invites[payload.token] = { expiresAt: payload.expiresAt, createdAt: now };
+        });
+
+        const invite = { ...payload, signature: this.crypto.signMessage(JSON.stringify(payload)) };
+        return nacl.util.encodeBase64(nacl.util.decodeUTF8(JSON.stringify(invite)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=/g, '');
+    }
+
+    // 解析邀请链接或邀请码，验证签名和有效期
+    parseInvite(text) {
+        const match = /(?:^|[#?&]invite=)([A-Za-z0-9\-_]+)$/.exec((text || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        let invite;
+        try {
+            const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+            invite = JSON.parse(nacl.util.encodeUTF8(nacl.util.decodeBase64(padded)));
+        } catch (error) {
+            return null;
+        }
+        if (!invite || invite.v !== 1) {
+            return null;
+        }
+
+        const payload = this.buildInvitePayload(invite);
+        if (!this.crypto.verifySignature(JSON.stringify(payload), invite.signature, invite.signPublicKey)) {
+            throw new Error('邀请签名无效');
+        }
+        if (!this.crypto.verifyIdentityBinding(invite.peerId, invite.did, invite.publicKey, invite.signPublicKey)) {
+            throw new Error('邀请中的 ID 与密钥不匹配');
+        }
+        if (invite.expiresAt < Date.now()) {
+            throw new Error('邀请已过期');
+        }
+        if (this.currentIdentity && invite.peerId === this.currentIdentity.peerId) {
+            throw new Error('不能添加自己为联系人');
+        }
+        return payload;
+    }
+
+    // 根据邀请保存联系人，并预先固定邀请中的密钥
+    addInviteContact(invite) {
+        return this.updateContact(invite.peerId, existingContact => {
+            const pinnedKeys = this.getPinnedKeys(existingContact);
+            if (pinnedKeys &&
+                (pinnedKeys.publicKey !== invite.publicKey || pinnedKeys.signPublicKey !== invite.signPublicKey)) {
+                throw new Error('邀请中的密钥与已固定的密钥不一致');
+            }
+
+            return {
+                ...existingContact,
+                peerId: invite.peerId,
+                did: invite.did,
+                name: invite.name,
+                publicKey: invite.publicKey,
+                signPublicKey: invite.signPublicKey,
+                pinnedKeys: pinnedKeys || {
+                    publicKey: invite.publicKey,
+                    signPublicKey: invite.signPublicKey,
+                    pinnedAt: Date.now()
+                },
+                invite: pinnedKeys ? existingContact.invite : {
+                    token: invite.token,
+                    expiresAt: invite.expiresAt,
+                    redeemed: false
+                },
+                connected: existingContact ? existingContact.connected : false,
+                lastSeen: Date.now(),
+                identityVerified: existingContact ? !!existingContact.identityVerified : false
+            };
+        });
+    }
+
+    // 兑现我们发出的邀请令牌：未知、过期或已被他人使用的令牌返回 false
+    redeemInvite(token, peerId) {
+        return this.updateIssuedInvites(invites => {
+            const entry = invites[token];
+            if (!entry) {
+                return false;
+            }
+            if (entry.redeemedBy) {
+                return entry.redeemedBy === peerId;
+            }
+            if (entry.expiresAt < Date.now()) {
+                return false;
+            }
+
+            invites[token] = { ...entry, redeemedBy: peerId, redeemedAt: Date.now() };
+            return true;
+        });
+    }
+
+    // 依次读取、修改并保存已发出的邀请，同时到达的身份消息不会重复兑现同一个一次性令牌；
+    // update 直接修改传入的记录，其返回值作为结果
+    updateIssuedInvites(update) {
+        const run = this.inviteQueue.then(async () => {
+            const invites = await this.storage.getSetting('issued-invites');
+            const result = update(invites);
+            await this.storage.saveSetting('issued-invites', invites);
+            return result;
+        });
+        this.inviteQueue = run.catch(() => {});
+        return run;
+    }
+
+    // 发送身份确认
+    async sendIdentityAck(peerId) {
+        const ackMsg = {
+            type: 'identity-ack',
+            peerId: this.currentIdentity.peerId,
+            timestamp: Date.now()
+        };
+        
+        await this.send(peerId, ackMsg);
+    }
+
+    // 处理身份确认
+    async handleIdentityAck(peerId, data) {
+        console.log('收到身份确认来自:', peerId);
+        
+        // 更新联系人状态
+        const contact = await this.updateContact(peerId, contact => {
+            if (!contact || contact.pendingKeyChange) {
+                return null;
+            }
+            contact.identityVerified = true;
+            // 对方确认即表示邀请令牌已被接受，之后不再发送
+            if (contact.invite && !contact.invite.redeemed) {
+                contact.invite = { ...contact.invite, redeemed: true, redeemedAt: Date.now() };
+            }
+            return contact;
+        });
+        if (contact) {
+            // 通知应用层
+            this.emit('contact-identity-ready', contact);
+            await this.flushOutbox(peerId);
+        }
+    }
+
+    // 处理聊天消息
+    async handleChatMessage(peerId, data) {
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.publicKey) {
+            console.error('收到消息但联系人公钥不存在:', peerId);
+            // 请求重新发送身份信息
+            const conn = this.connections.get(peerId);
+            if (conn) {
+                await this.sendIdentity(conn);
+            }
+            return;
+        }
+
+        if (contact.pendingKeyChange) {
+            console.warn('联系人密钥变更未确认，丢弃消息:', peerId);
+            return;
+        }
+
+        const decrypted = await this.ratchet.decrypt(peerId, data);
+        if (!decrypted) {
+            console.error('消息解密失败');
+            return;
+        }
+
+        // 对方重试时可能重复发送同一条消息：只确认，不重复保存
+        if (data.messageId) {
+            const existing = await this.storage.getMessage(data.messageId);
+            if (existing) {
+                if (existing.contactPeerId === peerId) {
+                    await this.sendDeliveryAck(peerId, data.messageId);
+                }
+                return;
+            }
+        }
+
+        const message = {
+            id: data.messageId,
+            contactPeerId: peerId,
+            content: decrypted,
+            direction: 'received',
+            timestamp: data.timestamp,
+            encrypted: data,
+            expiresAt: this.getRetentionExpiry(contact)
+        };
+
+        await this.storage.saveMessage(message);
+        if (data.messageId) {
+            await this.sendDeliveryAck(peerId, data.messageId);
+        }
+        this.emit('message-received', { contact, message });
+    }
+
+    // 发送送达确认
+    async sendDeliveryAck(peerId, messageId) {
+        await this.send(peerId, {
+            type: 'delivery-ack',
+            messageId,
+            timestamp: Date.now()
+        });
+    }
+
+    // 处理送达确认：只接受消息接收方发来的确认。确认可能在发送后立即到达，
+    // 因此与同一条消息的投递排队执行，已删除的发件箱条目不会被投递记录写回
+    handleDeliveryAck(peerId, data) {
+        return this.runQueued(this.outboxQueues, data.messageId, async () => {
+            const message = await this.storage.getMessage(data.messageId);
+            if (!message || message.contactPeerId !== peerId || message.direction !== 'sent') {
+                return;
+            }
+
+            await this.storage.deleteOutboxItem(message.id);
+            if (message.status !== 'delivered') {
+                await this.updateMessageStatus(message, 'delivered', { deliveredAt: Date.now() });
+            }
+        });
+    }
+
+    // 更新消息投递状态并通知应用层
+    async updateMessageStatus(message, status, extra = {}) {
+        Object.assign(message, extra, { status });
+        await this.storage.saveMessage(message);
+        this.emit('message-status', { messageId: message.id, contactPeerId: message.contactPeerId, status });
+    }
+
+    // 消息先保存并放入发件箱，对方在线时立即投递，否则等重新连接后重试
+    async queueMessage(contact, text) {
+        const message = {
+            id: 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            contactPeerId: contact.peerId,
+            content: text,
+            direction: 'sent',
+            timestamp: Date.now(),
+            expiresAt: this.getRetentionExpiry(contact),
+            status: 'queued'
+        };
+
+        await this.storage.saveMessage(message);
+        await this.storage.saveOutboxItem({
+            id: message.id,
+            contactPeerId: contact.peerId,
+            createdAt: message.timestamp,
+            attempts: 0
+        });
+        this.emit('message-sent', { contact, message });
+
+        await this.flushOutbox(contact.peerId);
+        return (await this.storage.getMessage(message.id)) || message;
+    }
+
+    // 依次投递发给某个联系人的待发消息（同一联系人同时只有一个投递过程）
+    async flushOutbox(peerId) {
+        if (this.paused) {
+            return;
+        }
+        if (this.flushingOutbox.has(peerId)) {
+            this.outboxFlushRequested.add(peerId);
+            return;
+        }
+
+        this.flushingOutbox.add(peerId);
+        // 本轮已投递过的消息不再重复发送，只投递之后新排队的
+        const attempted = new Set();
+        try {
+            do {
+                this.outboxFlushRequested.delete(peerId);
+                if (this.paused || !(await this.isContactReady(peerId))) {
+                    return;
+                }
+
+                const items = await this.storage.getOutboxItems(peerId);
+                for (const item of items) {
+                    if (!item.failed && !attempted.has(item.id)) {
+                        attempted.add(item.id);
+                        await this.deliverOutboxItem(item);
+                    }
+                }
+            } while (this.outboxFlushRequested.has(peerId));
+        } catch (error) {
+            console.error('投递发件箱消息失败:', error);
+        } finally {
+            this.flushingOutbox.delete(peerId);
+            this.outboxFlushRequested.delete(peerId);
+        }
+    }
+
+    // 投递单条消息；已发送但未确认的消息也会重发，接收方按消息 ID 去重
+    deliverOutboxItem(item) {
+        return this.runQueued(this.outboxQueues, item.id, () => this.sendOutboxItem(item));
+    }
+
+    async sendOutboxItem(item) {
+        const message = await this.storage.getMessage(item.id);
+        if (!message || message.status === 'delivered') {
+            // 消息已过期、被删除，或在读取发件箱之后已确认送达
+            await this.storage.deleteOutboxItem(item.id);
+            return;
+        }
+
+        item.attempts = (item.attempts || 0) + 1;
+        item.lastAttemptAt = Date.now();
+
+        let sent = false;
+        try {
+            const envelope = await this.ratchet.encrypt(item.contactPeerId, message.content);
+            sent = await this.send(item.contactPeerId, {
+                type: 'message',
+                messageId: message.id,
+                ...envelope,
+                timestamp: message.timestamp
+            });
+        } catch (error) {
+            console.error('消息发送失败:', item.id, error);
+        }
+
+        if (!sent && item.attempts >= this.maxDeliveryAttempts) {
+            item.failed = true;
+        }
+        await this.storage.saveOutboxItem(item);
+
+        if (sent && message.status === 'queued') {
+            await this.updateMessageStatus(message, 'sent', { sentAt: Date.now() });
+        } else if (item.failed) {
+            await this.updateMessageStatus(message, 'failed');
+        }
+    }
+
+    // 手动重试发送失败或仍在排队的消息
+    async retryMessage(messageId) {
+        const message = await this.storage.getMessage(messageId);
+        if (!message || message.direction !== 'sent' || message.status === 'delivered') {
+            throw new Error('该消息无需重试');
+        }
+
+        await this.storage.saveOutboxItem({
+            id: message.id,
+            contactPeerId: message.contactPeerId,
+            createdAt: message.timestamp,
+            attempts: 0
+        });
+        if (message.status === 'failed') {
+            await this.updateMessageStatus(message, 'queued');
+        }
+
+        // 对方不在线时尝试重新连接，连接后会自动投递
+        if (!this.connections.has(message.contactPeerId)) {
+            try {
+                await this.connectToPeer(message.contactPeerId);
+            } catch (error) {
+                console.warn('重新连接失败，消息保留在发件箱中:', error.message);
+            }
+        }
+        await this.flushOutbox(message.contactPeerId);
+    }
+
+    // 处理自毁消息
+    async handleSelfDestructMessage(peerId, data) {
+        const contact = await this.storage.getContact(peerId);
+        if (!contact) {
+            console.error('收到自毁消息但联系人不存在:', peerId);
+            return;
+        }
+
+        if (contact.pendingKeyChange) {
+            console.warn('联系人密钥变更未确认，丢弃自毁消息:', peerId);
+            return;
+        }
+
+        // 查看时间为 0 表示不倒计时，按 ttlHours 到期
+        if (typeof data.messageId !== 'string' || !data.messageId ||
+            !this.isPositiveNumber(data.ttlHours) ||
+            !(data.viewSeconds === 0 || this.isPositiveNumber(data.viewSeconds))) {
+            console.error('自毁消息格式无效:', peerId);
+            return;
+        }
+
+        // 消息 ID 由对方生成，已存在的 ID 不能覆盖本地消息（包括我们发出的消息）
+        if (await this.storage.getMessage(data.messageId)) {
+            console.warn('自毁消息 ID 已存在，忽略:', peerId);
+            return;
+        }
+
+        const message = {
+            id: data.messageId,
+            contactPeerId: peerId,
+            content: '自毁消息 (点击解密)',
+            direction: 'received',
+            timestamp: data.timestamp,
+            isSelfDestruct: true,
+            selfDestructData: data,
+            expiresAt: Date.now() + data.ttlHours * 60 * 60 * 1000
+        };
+
+        await this.storage.saveMessage(message);
+        await this.storage.saveSelfDestructMessage(
+            data.messageId,
+            { contactPeerId: peerId, direction: 'received' },
+            data.ttlHours
+        );
+        this.emit('message-received', { 
+            contact: contact, 
+            message 
+        });
+    }
+
+    // 有限的正数（自毁时间、查看时间、保留时间）
+    isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    // 打开自毁消息：此时才解开封装的密钥，用完立即擦除，不落盘
+    // 返回明文和销毁时间，首次打开时记录销毁时间
+    async openSelfDestructMessage(messageId) {
+        const message = await this.storage.getMessage(messageId);
+        if (!message || !message.isSelfDestruct || !message.selfDestructData) {
+            throw new Error('自毁消息不存在或已销毁');
+        }
+
+        const data = message.selfDestructData;
+        if (!data.sealedKey) {
+            throw new Error('自毁消息缺少封装密钥');
+        }
+
+        if (message.burnAt && message.burnAt <= Date.now()) {
+            await this.burnSelfDestructMessage(messageId);
+            throw new Error('自毁消息已过期');
+        }
+
+        const selfDestructKey = this.crypto.openSelfDestructKey(data.sealedKey);
+        if (!selfDestructKey) {
+            throw new Error('无法解开自毁消息密钥');
+        }
+
+        let content;
+        try {
+            content = this.crypto.decryptWithSelfDestructKey(data, selfDestructKey);
+        } finally {
+            selfDestructKey.fill(0);
+        }
+
+        if (content === null) {
+            throw new Error('自毁消息解密失败');
+        }
+
+        if (!message.burnAt) {
+            // 设定了查看时间则从打开时开始倒计时，否则按 ttlHours 到期
+            message.burnAt = data.viewSeconds > 0
+                ? Date.now() + data.viewSeconds * 1000
+                : message.expiresAt || data.timestamp + data.ttlHours * 60 * 60 * 1000;
+            // 让过期清理也覆盖已打开但未按时销毁的消息
+            message.expiresAt = Math.min(message.expiresAt || message.burnAt, message.burnAt);
+            await this.storage.saveMessage(message);
+        }
+
+        return { content, burnAt: message.burnAt };
+    }
+
+    // 销毁已读的自毁消息，并向发送方回送签名的销毁通知
+    async burnSelfDestructMessage(messageId) {
+        const message = await this.storage.getMessage(messageId);
+        if (!message) {
+            return false;
+        }
+
+        await this.storage.delete('messages', messageId);
+        await this.storage.delete('selfDestructMessages', messageId);
+
+        if (message.direction === 'received') {
+            await this.sendBurnNotice(message.contactPeerId, messageId);
+        }
+
+        this.emit('message-burned', { contactPeerId: message.contactPeerId, messageId });
+        return true;
+    }
+
+    // 构造销毁通知的签名载荷
+    buildBurnPayload(messageId, issuer, timestamp) {
+        return {
+            type: 'self-destruct-burned',
+            messageId: messageId,
+            issuer: issuer,
+            timestamp: timestamp
+        };
+    }
+
+    // 发送销毁通知
+    async sendBurnNotice(peerId, messageId) {
+        const payload = this.buildBurnPayload(messageId, this.currentIdentity.peerId, Date.now());
+        return await this.send(peerId, {
+            ...payload,
+            signature: this.crypto.signMessage(JSON.stringify(payload))
+        });
+    }
+
+    // 处理对方发回的销毁通知
+    async handleBurnNotice(peerId, data) {
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.signPublicKey) {
+            console.error('收到销毁通知但联系人签名公钥不存在:', peerId);
+            return;
+        }
+
+        const payload = this.buildBurnPayload(data.messageId, data.issuer, data.timestamp);
+        const isValid = data.issuer === peerId &&
+            this.crypto.verifySignature(JSON.stringify(payload), data.signature, contact.signPublicKey);
+        if (!isValid) {
+            console.error('销毁通知签名验证失败:', peerId);
+            return;
+        }
+
+        // 只处理我们发给该联系人的自毁消息
+        const sent = await this.storage.getMessage(data.messageId);
+        if (!sent || sent.contactPeerId !== peerId || sent.direction !== 'sent') {
+            return;
+        }
+
+        await this.storage.delete('selfDestructMessages', data.messageId);
+        await this.storage.saveMessage({
+            ...sent,
+            content: '自毁消息 (对方已阅读并销毁)',
+            burnedAt: data.timestamp
+        });
+
+        this.emit('message-burned', { contactPeerId: peerId, messageId: data.messageId, contact });
+    }
+
+    // 构造销毁命令的签名载荷
+    buildDestroyPayload(issuer, target, nonce, timestamp) {
+        return {
+            type: 'destroy-command',
+            issuer: issuer,
+            target: target,
+            scope: 'all',
+            nonce: nonce,
+            timestamp: timestamp
+        };
+    }
+
+    // 构造销毁确认的签名载荷，result 为 destroyed、declined 或 refused
+    buildDestroyAckPayload(issuer, target, nonce, result, timestamp) {
+        return {
+            type: 'destroy-ack',
+            issuer: issuer,
+            target: target,
+            nonce: nonce,
+            result: result,
+            timestamp: timestamp
+        };
+    }
+
+    // 构造销毁授权的签名载荷：身份签名密钥授权一把临时密钥，只能在有效期内签名销毁命令
+    buildDestroyDelegationPayload(issuer, signPublicKey, timestamp, expiresAt) {
+        return {
+            type: 'destroy-delegation',
+            issuer: issuer,
+            signPublicKey: signPublicKey,
+            timestamp: timestamp,
+            expiresAt: expiresAt
+        };
+    }
+
+    // 验证随销毁命令附带的授权，通过时返回被授权的签名公钥。
+    // 命令的签发时间必须在授权有效期内，有效期不能超过 duressKitLifetime；
+    // 命令本身还要通过时间窗口检查，因此授权过期后签出的命令不会被接受
+    verifyDestroyDelegation(peerId, delegation, signPublicKey, commandTimestamp) {
+        if (!delegation || delegation.issuer !== peerId || typeof delegation.signPublicKey !== 'string' ||
+            typeof delegation.timestamp !== 'number' || typeof delegation.expiresAt !== 'number') {
+            return null;
+        }
+        if (delegation.expiresAt - delegation.timestamp > this.duressKitLifetime ||
+            !(commandTimestamp >= delegation.timestamp && commandTimestamp <= delegation.expiresAt)) {
+            return null;
+        }
+
+        const payload = this.buildDestroyDelegationPayload(
+            delegation.issuer, delegation.signPublicKey, delegation.timestamp, delegation.expiresAt
+        );
+        if (!this.crypto.verifySignature(JSON.stringify(payload), delegation.signature, signPublicKey)) {
+            return null;
+        }
+        return delegation.signPublicKey;
+    }
+
+    // 锁定前调用：生成只在内存中保存的临时签名密钥并用身份密钥授权，没有已验证的联系人时返回 null。
+    // 只保留联系人 ID 和签名所需的材料，到期或向每个联系人发出命令后擦除
+    async createDuressKit() {
+        const peerIds = (await this.storage.getContacts())
+            .filter(contact => contact.identityVerified && contact.signPublicKey)
+            .map(contact => contact.peerId);
+        if (peerIds.length === 0) {
+            return null;
+        }
+
+        const keyPair = nacl.sign.keyPair();
+        const now = Date.now();
+        const payload = this.buildDestroyDelegationPayload(
+            this.currentIdentity.peerId,
+            nacl.util.encodeBase64(keyPair.publicKey),
+            now,
+            now + this.duressKitLifetime
+        );
+        keyPair.publicKey.fill(0);
+        return {
+            peerIds: new Set(peerIds),
+            secretKey: keyPair.secretKey,
+            delegation: { ...payload, signature: this.crypto.signMessage(JSON.stringify(payload)) }
+        };
     }
 
-    // 发送身份确认
-    async sendIdentityAck(peerId) {
-        const ackMsg = {
-            type: 'identity-ack',
-            peerId: this.currentIdentity.peerId,
-            timestamp: Date.now()
-        };
-        
-        await this.send(peerId, ackMsg);
+    wipeDuressKit() {
+        clearTimeout(this.duressKitTimer);
+        this.duressKitTimer = null;
+        if (this.duressKit) {
+            this.duressKit.secretKey.fill(0);
+            this.duressKit.peerIds.clear();
+            this.duressKit = null;
+        }
     }
 
-    // 处理身份确认
-    async handleIdentityAck(peerId, data) {
-        console.log('收到身份确认来自:', peerId);
-        
-        // 更新联系人状态
-        const contact = await this.storage.getContact(peerId);
-        if (contact) {
-            contact.identityVerified = true;
-            await this.storage.saveContact(contact);
-            
-            // 通知应用层
-            this.emit('contact-identity-ready', contact);
+    // 联系人对销毁命令的处理策略：accept 自动执行，ask 询问用户，refuse 一律拒绝
+    getDestroyPolicy(contact) {
+        return (contact && contact.destroyPolicy) || 'ask';
+    }
+
+    async setDestroyPolicy(peerId, policy) {
+        if (!['accept', 'ask', 'refuse'].includes(policy)) {
+            throw new Error('无效的销毁策略');
         }
+
+        return this.updateContact(peerId, contact => {
+            if (!contact) {
+                throw new Error('联系人不存在');
+            }
+            contact.destroyPolicy = policy;
+            return contact;
+        });
     }
 
-    // 处理聊天消息
-    async handleChatMessage(peerId, data) {
+    // 处理销毁命令：验证签名、目标和时间窗口，拒绝重放，再按联系人的策略处理
+    async handleDestroyCommand(peerId, data) {
+        console.log('收到销毁命令来自:', peerId);
+
         const contact = await this.storage.getContact(peerId);
-        if (!contact || !contact.publicKey) {
-            console.error('收到消息但联系人公钥不存在:', peerId);
-            // 请求重新发送身份信息
-            const conn = this.connections.get(peerId);
-            if (conn) {
-                await this.sendIdentity(conn);
-            }
+        if (!contact || !contact.signPublicKey) {
+            console.error('收到销毁命令但联系人签名公钥不存在:', peerId);
             return;
         }
 
-        const decrypted = this.crypto.decryptMessage(data, contact.publicKey);
-        if (!decrypted) {
-            console.error('消息解密失败');
+        // 对方锁定期间发出的命令由其身份密钥授权的临时密钥签名
+        const signPublicKey = data.delegation
+            ? this.verifyDestroyDelegation(peerId, data.delegation, contact.signPublicKey, data.timestamp)
+            : contact.signPublicKey;
+        const payload = this.buildDestroyPayload(data.issuer, data.target, data.nonce, data.timestamp);
+        const isValid = !!signPublicKey &&
+            data.issuer === peerId &&
+            data.target === this.currentIdentity.peerId &&
+            typeof data.nonce === 'string' &&
+            this.crypto.verifySignature(JSON.stringify(payload), data.signature, signPublicKey);
+        if (!isValid) {
+            console.error('销毁命令验证失败:', peerId);
             return;
         }
 
-        const message = {
-            contactPeerId: peerId,
-            content: decrypted,
-            direction: 'received',
-            timestamp: data.timestamp,
-            encrypted: data
-        };
+        if (Math.abs(Date.now() - data.timestamp) > this.destroyCommandWindow) {
+            console.warn('销毁命令已超出有效时间，忽略:', peerId);
+            return;
+        }
 
-        await this.storage.saveMessage(message);
-        this.emit('message-received', { contact, message });
-    }
+        if (!(await this.consumeDestroyNonce(data.nonce, data.timestamp))) {
+            console.warn('重复的销毁命令，忽略:', peerId);
+            return;
+        }
 
-    // 处理自毁消息
-    async handleSelfDestructMessage(peerId, data) {
-        const contact = await this.storage.getContact(peerId);
-        if (!contact) {
-            console.error('收到自毁消息但联系人不存在:', peerId);
+        const policy = this.getDestroyPolicy(contact);
+        if (policy === 'refuse') {
+            await this.sendDestroyAck(peerId, data.nonce, 'refused');
+            this.emit('destroy-refused', { contact });
             return;
         }
 
-        const message = {
-            id: data.messageId,
-            contactPeerId: peerId,
-            content: '自毁消息 (点击解密)',
-            direction: 'received',
-            timestamp: data.timestamp,
-            isSelfDestruct: true,
-            selfDestructData: data
-        };
+        if (policy === 'ask') {
+            this.pendingDestroyRequests.set(data.nonce, { peerId, timestamp: data.timestamp });
+            this.emit('destroy-requested', { contact, nonce: data.nonce });
+            return;
+        }
 
-        await this.storage.saveMessage(message);
-        this.emit('message-received', { 
-            contact: contact, 
-            message 
+        await this.executeDestroyCommand(peerId, data.nonce);
+    }
+
+    // 记录已处理的 nonce（持久保存，重启后同样拒绝重放），已存在时返回 false；
+    // 读取和写入依次进行，同一命令的多份副本同时到达时只有一份通过
+    consumeDestroyNonce(nonce, timestamp) {
+        const run = this.destroyNonceQueue.then(() => this.recordDestroyNonce(nonce, timestamp));
+        this.destroyNonceQueue = run.catch(() => {});
+        return run;
+    }
+
+    async recordDestroyNonce(nonce, timestamp) {
+        const seen = await this.storage.getSetting('destroy-nonces');
+        if (seen[nonce]) {
+            return false;
+        }
+
+        // 超出时间窗口的命令本身会被拒绝，不必继续保留其 nonce
+        const cutoff = Date.now() - this.destroyCommandWindow;
+        const kept = {};
+        Object.entries(seen).forEach(([key, seenAt]) => {
+            if (seenAt >= cutoff) {
+                kept[key] = seenAt;
+            }
         });
+        kept[nonce] = timestamp;
+
+        await this.storage.saveSetting('destroy-nonces', kept);
+        return true;
     }
 
-    // 处理销毁命令
-    async handleDestroyCommand(peerId, data) {
-        console.log('收到销毁命令来自:', peerId);
-        
-        // 立即销毁与该用户相关的所有数据
+    // 用户对 ask 策略下的销毁请求作出决定
+    async respondToDestroyRequest(nonce, accept) {
+        const request = this.pendingDestroyRequests.get(nonce);
+        if (!request) {
+            throw new Error('销毁请求不存在或已处理');
+        }
+        this.pendingDestroyRequests.delete(nonce);
+
+        if (accept) {
+            await this.executeDestroyCommand(request.peerId, nonce);
+        } else {
+            await this.sendDestroyAck(request.peerId, nonce, 'declined');
+        }
+    }
+
+    // 销毁与该联系人相关的所有数据并回送确认
+    async executeDestroyCommand(peerId, nonce) {
         await this.storage.destroyContactData(peerId);
-        
+
         // 通知UI更新
         this.emit('data-destroyed', peerId);
-        
-        // 发送确认
-        this.send(peerId, {
-            type: 'destroy-ack',
-            target: peerId,
-            timestamp: Date.now()
+
+        await this.sendDestroyAck(peerId, nonce, 'destroyed');
+    }
+
+    async sendDestroyAck(peerId, nonce, result) {
+        const payload = this.buildDestroyAckPayload(this.currentIdentity.peerId, peerId, nonce, result, Date.now());
+        return await this.send(peerId, {
+            ...payload,
+            signature: this.crypto.signMessage(JSON.stringify(payload))
+        });
+    }
+
+    // 处理对方对销毁命令的确认；本地联系人可能已被删除，因此用发送命令时记下的签名公钥验证
+    async handleDestroyAck(peerId, data) {
+        const command = this.pendingDestroyCommands.get(data.nonce);
+        if (!command || command.peerId !== peerId) {
+            console.warn('收到未知的销毁确认:', peerId);
+            return;
+        }
+
+        const payload = this.buildDestroyAckPayload(data.issuer, data.target, data.nonce, data.result, data.timestamp);
+        const isValid = data.issuer === peerId &&
+            data.target === this.currentIdentity.peerId &&
+            ['destroyed', 'declined', 'refused'].includes(data.result) &&
+            this.crypto.verifySignature(JSON.stringify(payload), data.signature, command.signPublicKey);
+        if (!isValid) {
+            console.error('销毁确认签名验证失败:', peerId);
+            return;
+        }
+
+        this.pendingDestroyCommands.delete(data.nonce);
+        this.emit('destroy-acknowledged', {
+            peerId,
+            name: command.name,
+            result: data.result
         });
     }
 
@@ -443,7 +2057,8 @@ class P2PNetwork {
     // 检查联系人身份是否就绪
     async isContactReady(peerId) {
         const contact = await this.storage.getContact(peerId);
-        return contact && contact.publicKey && contact.identityVerified;
+        return contact && contact.publicKey && contact.identityVerified &&
+            !contact.pendingKeyChange && await this.ratchet.hasSession(peerId);
     }
 
     // 等待联系人身份就绪
@@ -469,9 +2084,26 @@ class P2PNetwork {
         });
     }
 
-    // 发送聊天消息
-    async sendMessage(peerId, message, selfDestruct = false, ttlHours = 24) {
-        // 等待身份交换完成
+    // 发送聊天消息：普通消息返回保存的消息记录，自毁消息返回是否已发出
+    async sendMessage(peerId, message, selfDestruct = false, ttlHours = 24, viewSeconds = 0) {
+        const knownContact = await this.storage.getContact(peerId);
+        if (knownContact && knownContact.pendingKeyChange) {
+            throw new Error('联系人密钥已变更，请先确认新密钥');
+        }
+
+        // 普通消息进入发件箱，对方离线时也不会丢失
+        if (!selfDestruct) {
+            if (!knownContact || !knownContact.publicKey) {
+                throw new Error('联系人公钥不存在');
+            }
+            return this.queueMessage(knownContact, message);
+        }
+
+        if (!this.isPositiveNumber(ttlHours) || !(viewSeconds === 0 || this.isPositiveNumber(viewSeconds))) {
+            throw new Error('无效的自毁时间');
+        }
+
+        // 自毁消息不落入发件箱，需要对方在线，等待身份交换完成
         try {
             await this.waitForContactReady(peerId);
         } catch (error) {
@@ -483,42 +2115,48 @@ class P2PNetwork {
             throw new Error('联系人公钥不存在');
         }
 
-        let messageData;
+        // 会话保留策略是自毁时间的上限
+        const retentionHours = contact.retention && contact.retention.ttlHours;
+        if (retentionHours) {
+            ttlHours = Math.min(ttlHours, retentionHours);
+        }
+
+        const selfDestructKey = this.crypto.generateSelfDestructKey();
+        const encrypted = this.crypto.encryptWithSelfDestructKey(message, selfDestructKey);
         
-        if (selfDestruct) {
-            const selfDestructKey = this.crypto.generateSelfDestructKey();
-            const encrypted = this.crypto.encryptWithSelfDestructKey(message, selfDestructKey);
-            
-            messageData = {
-                type: 'self-destruct-message',
-                messageId: 'sd_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-                encrypted: encrypted.encrypted,
-                nonce: encrypted.nonce,
-                selfDestructKey: selfDestructKey,
-                ttlHours: ttlHours,
-                timestamp: Date.now()
-            };
+        const messageData = {
+            type: 'self-destruct-message',
+            messageId: 'sd_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            encrypted: encrypted.encrypted,
+            nonce: encrypted.nonce,
+            // 自毁密钥只以封装形式发送，只有接收方私钥能解开
+            sealedKey: this.crypto.sealSelfDestructKey(selfDestructKey, contact.publicKey),
+            ttlHours: ttlHours,
+            viewSeconds: viewSeconds,
+            timestamp: Date.now()
+        };
+        selfDestructKey.fill(0);
 
-            await this.storage.saveSelfDestructMessage(
-                messageData.messageId, 
-                messageData, 
-                ttlHours
-            );
-        } else {
-            messageData = {
-                type: 'message',
-                ...this.crypto.encryptMessage(message, contact.publicKey)
-            };
-        }
+        // 本地只保留不含密钥的记录
+        const { sealedKey, ...storedData } = messageData;
+        await this.storage.saveSelfDestructMessage(
+            messageData.messageId, 
+            storedData, 
+            ttlHours
+        );
 
         const sent = await this.send(peerId, messageData);
         
-        if (sent && !selfDestruct) {
+        if (sent) {
+            // 发送方只保留占位记录，用于显示对方的销毁通知
             const localMessage = {
+                id: messageData.messageId,
                 contactPeerId: peerId,
-                content: message,
+                content: '自毁消息 (已发送)',
                 direction: 'sent',
-                timestamp: messageData.timestamp
+                timestamp: messageData.timestamp,
+                isSelfDestruct: true,
+                expiresAt: Date.now() + ttlHours * 60 * 60 * 1000
             };
             
             await this.storage.saveMessage(localMessage);
@@ -528,17 +2166,255 @@ class P2PNetwork {
         return sent;
     }
 
-    // 发送销毁命令
-    async sendDestroyCommand(peerId) {
-        const destroyCmd = {
-            type: 'destroy-command',
-            issuer: this.peer.id,
-            target: peerId,
-            timestamp: Date.now(),
-            scope: 'all'
+    // 按会话保留策略计算消息过期时间，永久保留时返回 undefined
+    getRetentionExpiry(contact) {
+        const ttlHours = contact && contact.retention && contact.retention.ttlHours;
+        return ttlHours ? Date.now() + ttlHours * 60 * 60 * 1000 : undefined;
+    }
+
+    // 构造保留策略控制消息的签名载荷
+    buildRetentionPayload(ttlHours, version, issuer, timestamp) {
+        return {
+            type: 'retention-policy',
+            ttlHours: ttlHours,
+            version: version,
+            issuer: issuer,
+            timestamp: timestamp
+        };
+    }
+
+    // 设置会话保留策略并同步给对方（ttlHours 为 null 表示永久保留）。
+    // 每次修改在当前版本上加一，双方都按版本号（相同时按签发方）选择生效的策略，不比较各自的时钟
+    async setRetentionPolicy(peerId, ttlHours) {
+        if (ttlHours !== null && !this.isPositiveNumber(ttlHours)) {
+            throw new Error('无效的保留时间');
+        }
+
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.identityVerified) {
+            throw new Error('联系人身份未就绪');
+        }
+
+        const version = ((contact.retention && contact.retention.version) || 0) + 1;
+        const payload = this.buildRetentionPayload(ttlHours, version, this.currentIdentity.peerId, Date.now());
+        if (!(await this.sendRetentionPolicy(peerId, payload))) {
+            throw new Error('联系人不在线，无法同步保留策略');
+        }
+
+        const retention = await this.applyRetentionPolicy(peerId, payload);
+        if (!retention) {
+            throw new Error('对方同时修改了保留策略，已采用对方的设置');
+        }
+        return retention;
+    }
+
+    sendRetentionPolicy(peerId, payload) {
+        return this.send(peerId, {
+            ...payload,
+            signature: this.crypto.signMessage(JSON.stringify(payload))
+        });
+    }
+
+    // 处理对方发来的保留策略
+    async handleRetentionPolicy(peerId, data) {
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.signPublicKey) {
+            console.error('收到保留策略但联系人签名公钥不存在:', peerId);
+            return;
+        }
+
+        const payload = this.buildRetentionPayload(data.ttlHours, data.version, data.issuer, data.timestamp);
+        const isValid = data.issuer === peerId &&
+            (data.ttlHours === null || this.isPositiveNumber(data.ttlHours)) &&
+            Number.isInteger(data.version) && data.version > 0 &&
+            this.crypto.verifySignature(JSON.stringify(payload), data.signature, contact.signPublicKey);
+        if (!isValid) {
+            console.error('保留策略验证失败:', peerId);
+            return;
+        }
+
+        // 对方的策略没有被采用（双方同时修改，或对方错过了我们的修改）：把我们设置的当前策略发回，
+        // 对方按同样的规则改用它，双方最终一致
+        if (!(await this.applyRetentionPolicy(peerId, payload))) {
+            await this.resendRetentionPolicy(peerId);
+        }
+    }
+
+    async resendRetentionPolicy(peerId) {
+        const contact = await this.storage.getContact(peerId);
+        const retention = contact && contact.retention;
+        if (!retention || !retention.version || retention.updatedBy !== this.currentIdentity.peerId) {
+            return;
+        }
+
+        const payload = this.buildRetentionPayload(
+            retention.ttlHours, retention.version, retention.updatedBy, retention.updatedAt
+        );
+        await this.sendRetentionPolicy(peerId, payload);
+    }
+
+    // 保存保留策略并在会话中留下系统提示；不比当前策略新（重放、乱序或同时修改中落选）时忽略并返回 null
+    async applyRetentionPolicy(peerId, payload) {
+        const retention = {
+            ttlHours: payload.ttlHours,
+            version: payload.version,
+            updatedAt: payload.timestamp,
+            updatedBy: payload.issuer
+        };
+        const contact = await this.updateContact(peerId, contact => {
+            if (!contact || !this.storage.isNewerRetention(retention, contact.retention)) {
+                return null;
+            }
+            contact.retention = retention;
+            return contact;
+        });
+        if (!contact) {
+            return null;
+        }
+
+        const byMe = payload.issuer === this.currentIdentity.peerId;
+        const notice = {
+            id: 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            contactPeerId: contact.peerId,
+            content: `${byMe ? '你' : '对方'}将消息保留时间设置为${this.describeRetention(payload.ttlHours)}`,
+            direction: 'system',
+            timestamp: Date.now()
         };
+        await this.storage.saveMessage(notice);
+
+        this.emit('retention-changed', { contact, message: notice });
+        return contact.retention;
+    }
+
+    // 保留时间的显示文本
+    describeRetention(ttlHours) {
+        if (!ttlHours) {
+            return '永久保留';
+        }
+        if (ttlHours % 24 === 0) {
+            return ` ${ttlHours / 24} 天`;
+        }
+        return ` ${ttlHours} 小时`;
+    }
+
+    // 发送签名的销毁命令，对方的确认通过 destroy-acknowledged 事件通知
+    async sendDestroyCommand(peerId) {
+        // 锁定期间（胁迫口令解锁时）存储不可读、身份密钥已擦除，改用锁定前准备的销毁授权
+        if (this.paused) {
+            return this.sendDelegatedDestroyCommand(peerId);
+        }
+
+        const contact = await this.storage.getContact(peerId);
+        if (!contact || !contact.identityVerified || !contact.signPublicKey) {
+            throw new Error('联系人身份未就绪');
+        }
+
+        const nonce = nacl.util.encodeBase64(nacl.randomBytes(16));
+        const payload = this.buildDestroyPayload(this.currentIdentity.peerId, peerId, nonce, Date.now());
+        const sent = await this.send(peerId, {
+            ...payload,
+            signature: this.crypto.signMessage(JSON.stringify(payload))
+        });
+
+        if (sent) {
+            this.pendingDestroyCommands.set(nonce, {
+                peerId,
+                name: contact.name || contact.did || peerId,
+                signPublicKey: contact.signPublicKey,
+                timestamp: payload.timestamp
+            });
+        }
+        return sent;
+    }
+
+    // 用销毁授权签名命令；每个联系人只发送一次，全部发出后立即擦除授权。
+    // 之后数据即被销毁，不再等待对方的确认
+    async sendDelegatedDestroyCommand(peerId) {
+        const kit = this.duressKit;
+        if (!kit) {
+            throw new Error('网络已锁定');
+        }
+        if (!kit.peerIds.has(peerId)) {
+            throw new Error('联系人身份未就绪');
+        }
+
+        const payload = this.buildDestroyPayload(
+            kit.delegation.issuer, peerId, nacl.util.encodeBase64(nacl.randomBytes(16)), Date.now()
+        );
+        const signature = nacl.sign.detached(nacl.util.decodeUTF8(JSON.stringify(payload)), kit.secretKey);
+        const sent = await this.send(peerId, {
+            ...payload,
+            delegation: kit.delegation,
+            signature: nacl.util.encodeBase64(signature)
+        });
+
+        if (sent) {
+            kit.peerIds.delete(peerId);
+            if (kit.peerIds.size === 0) {
+                this.wipeDuressKit();
+            }
+        }
+        return sent;
+    }
+
+    // 锁定：擦除内存中的密钥，之后收到的消息进入加密收件箱
+    async pause() {
+        if (this.paused) {
+            return;
+        }
+
+        this.inboxKey = await this.storage.createInboxKey();
+        try {
+            this.duressKit = await this.createDuressKit();
+            if (this.duressKit) {
+                this.duressKitTimer = setTimeout(() => this.wipeDuressKit(), this.duressKitLifetime);
+                // Node 中不因这个定时器保持进程运行
+                if (this.duressKitTimer.unref) {
+                    this.duressKitTimer.unref();
+                }
+            }
+        } catch (error) {
+            console.error('准备销毁授权失败:', error);
+        }
+        this.paused = true;
+        this.currentIdentity = null;
+        this.ratchet.secureWipe();
+        this.crypto.secureWipe();
+    }
+
+    // 解锁：重新加载密钥（不传 identity 时使用会话中已加载的身份），处理锁定期间收到的消息
+    async resume(identity) {
+        if (!this.paused) {
+            return 0;
+        }
+
+        await this.useIdentity(identity);
+        this.ratchet.generatePrekey();
+
+        this.wipeDuressKit();
+        this.paused = false;
+        this.inboxKey = null;
+
+        const queued = await this.storage.drainInbox();
+        for (const item of queued) {
+            try {
+                await this.handleMessage(item.peerId, item.data);
+            } catch (error) {
+                console.error('处理收件箱消息失败:', error);
+            }
+        }
+
+        // 预密钥已更换，锁定期间新建的连接也尚未握手，重新发送身份信息
+        for (const conn of this.connections.values()) {
+            if (conn.open) {
+                await this.sendIdentity(conn);
+                await this.updateContactStatus(conn.peer, true);
+            }
+        }
 
-        return await this.send(peerId, destroyCmd);
+        this.session.setConnectivity(!!this.transport && !this.transport.disconnected);
+        this.reconnectAll();
+        return queued.length;
     }
 
     // 事件系统
@@ -562,26 +2438,68 @@ class P2PNetwork {
 
     // 销毁清理
     destroy() {
+        if (this.cancelRetry) {
+            this.cancelRetry();
+        }
+        if (this.identityChannel) {
+            this.identityChannel.close();
+            this.identityChannel = null;
+        }
+        this.shutdownPeer();
+        this.messageHandlers.clear();
+        this.pendingDestroyCommands.clear();
+        this.pendingDestroyRequests.clear();
+        this.wipeDuressKit();
+        this.ratchet.secureWipe();
+        this.crypto.secureWipe();
+    }
+
+    // 关闭所有连接和 Peer，但保留身份和事件处理器（用于重新初始化）
+    shutdownPeer() {
+        // 先标记为未初始化，关闭连接时不再安排重连
+        this.initialized = false;
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.signalingTimer);
+        this.reconnectState.forEach(state => clearTimeout(state.timer));
+        this.reconnectState.clear();
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+
         this.connections.forEach(conn => conn.close());
         this.connections.clear();
         this.pendingIdentityRequests.clear();
-        this.messageHandlers.clear();
+        this.presence.clear();
+        this.dialing.clear();
         
-        if (this.peer) {
-            this.peer.destroy();
+        if (this.transport) {
+            this.transport.destroy();
+            this.transport = null;
         }
-        
-        this.crypto.secureWipe();
-        this.initialized = false;
+        this.session.setConnectivity(false);
     }
 
     // 获取网络状态
     getStatus() {
         return {
             initialized: this.initialized,
-            peerId: this.peer ? this.peer.id : null,
+            peerId: this.transport ? this.transport.id : null,
             connections: this.connections.size,
             pendingIdentityRequests: this.pendingIdentityRequests.size
         };
     }
 }
+
+// 默认使用公共 PeerJS 服务器
+P2PNetwork.DEFAULT_NETWORK_SETTINGS = {
+    profile: 'public',
+    transport: 'peerjs',
+    host: '0.peerjs.com',
+    port: 443,
+    path: '/',
+    secure: true,
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'turn:0.peerjs.com:3478', username: 'peerjs', credential: 'peerjsp' }
+    ]
+};
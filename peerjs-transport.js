@@ -0,0 +1,51 @@
+import { Transport } from './transport.js';
+
+// PeerJS（WebRTC）传输：信令和 ICE 服务器来自网络设置
+export class PeerJSTransport extends Transport {
+    constructor(peerOptions) {
+        super();
+        this.peerOptions = peerOptions;
+        this.peer = null;
+    }
+
+    listen(peerId) {
+        this.id = peerId;
+        if (typeof Peer === 'undefined') {
+            setTimeout(() => this.emit('error', this.createError('browser-incompatible', 'PeerJS 未加载，请使用其他传输')), 0);
+            return;
+        }
+        this.peer = new Peer(peerId, this.peerOptions);
+
+        this.peer.on('open', (id) => {
+            this.disconnected = false;
+            this.emit('open', id);
+        });
+        // PeerJS 的 DataConnection 本身符合连接接口，直接交给上层
+        this.peer.on('connection', (conn) => this.emit('connection', conn));
+        this.peer.on('disconnected', () => {
+            this.disconnected = true;
+            this.emit('disconnected');
+        });
+        this.peer.on('error', (error) => this.emit('error', error));
+    }
+
+    connect(peerId) {
+        return this.peer.connect(peerId, {
+            reliable: true,
+            serialization: 'json'
+        });
+    }
+
+    reconnect() {
+        if (this.peer && !this.peer.destroyed && this.peer.disconnected) {
+            this.peer.reconnect();
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.peer) {
+            this.peer.destroy();
+        }
+    }
+}
@@ -0,0 +1,329 @@
+// 双棘轮会话层：在 CryptoManager 之上为每个联系人维护前向保密的会话
+// 会话以 X3DH 风格从身份握手中建立（双方身份密钥 + 签名预密钥），
+// 之后每条消息推进对称棘轮，每次收到对方新的棘轮公钥时推进 DH 棘轮。
+export class DoubleRatchet {
+    constructor(crypto, storage) {
+        this.crypto = crypto;
+        this.storage = storage;
+        this.prekey = null;
+        this.locks = new Map();
+        this.maxSkip = 1000;
+        this.maxStoredSkipped = 2000;
+    }
+
+    // 生成本次运行使用的预密钥（随签名身份信息一起发送）
+    generatePrekey() {
+        this.prekey = nacl.box.keyPair();
+        return this.getPrekeyPublic();
+    }
+
+    // 获取预密钥公钥
+    getPrekeyPublic() {
+        return this.prekey ? nacl.util.encodeBase64(this.prekey.publicKey) : null;
+    }
+
+    // 串行化同一联系人的会话操作，避免并发读写导致棘轮状态错乱
+    withLock(peerId, task) {
+        const previous = this.locks.get(peerId) || Promise.resolve();
+        const run = previous.then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(peerId, tail);
+        tail.then(() => {
+            if (this.locks.get(peerId) === tail) {
+                this.locks.delete(peerId);
+            }
+        });
+        return run;
+    }
+
+    // 会话 ID 由双方预密钥决定，同一对预密钥重复握手不会重置会话
+    computeSessionId(prekeyA, prekeyB) {
+        const sorted = [prekeyA, prekeyB].sort();
+        const digest = nacl.hash(nacl.util.decodeUTF8(sorted.join(':')));
+        return nacl.util.encodeBase64(digest.slice(0, 16));
+    }
+
+    // 检查是否已有会话
+    async hasSession(peerId) {
+        const record = await this.storage.getSession(peerId);
+        return !!(record && record.current);
+    }
+
+    // 根据身份握手建立会话（X3DH 风格）
+    async establishSession(contact, theirPrekey) {
+        if (!this.prekey) {
+            throw new Error('预密钥未生成');
+        }
+
+        return this.withLock(contact.peerId, async () => {
+            const sessionId = this.computeSessionId(this.getPrekeyPublic(), theirPrekey);
+            const record = await this.storage.getSession(contact.peerId);
+
+            if (record && record.current && record.current.sessionId === sessionId) {
+                return false;
+            }
+
+            const state = this.initState(contact.publicKey, theirPrekey, sessionId);
+            await this.storage.saveSession({
+                peerId: contact.peerId,
+                current: state,
+                // 保留上一个会话，用于解密重连前仍在途中的消息
+                previous: record ? record.current : null
+            });
+
+            console.log('已建立加密会话:', contact.peerId);
+            return true;
+        });
+    }
+
+    // 初始化棘轮状态
+    initState(theirIdentityKey, theirPrekey, sessionId) {
+        const identitySecret = this.crypto.keyPair.secretKey;
+        const prekeySecret = this.prekey.secretKey;
+        const theirIdentity = nacl.util.decodeBase64(theirIdentityKey);
+        const theirPrekeyBytes = nacl.util.decodeBase64(theirPrekey);
+
+        // 按身份公钥排序确定角色，保证双方计算顺序一致
+        const isInitiator = this.crypto.getPublicKey() < theirIdentityKey;
+
+        const dh1 = isInitiator
+            ? this.crypto.dh(identitySecret, theirPrekeyBytes)
+            : this.crypto.dh(prekeySecret, theirIdentity);
+        const dh2 = isInitiator
+            ? this.crypto.dh(prekeySecret, theirIdentity)
+            : this.crypto.dh(identitySecret, theirPrekeyBytes);
+        const dh3 = this.crypto.dh(prekeySecret, theirPrekeyBytes);
+
+        const sharedKey = this.crypto.hkdf(this.crypto.concatBytes(dh1, dh2, dh3), null, 'YHYS-X3DH', 32);
+        const [rootKey, chainKey] = this.kdfRootKey(sharedKey, dh3);
+
+        const state = {
+            sessionId,
+            rootKey,
+            sendingKeyPair: this.encodeKeyPair(this.prekey),
+            remoteRatchetKey: theirPrekey,
+            sendingChainKey: isInitiator ? chainKey : null,
+            receivingChainKey: isInitiator ? null : chainKey,
+            sendCount: 0,
+            receiveCount: 0,
+            previousSendCount: 0,
+            skippedKeys: {}
+        };
+
+        // 响应方已经知道发起方的棘轮公钥，立即推进一次发送方向的 DH 棘轮，
+        // 这样双方都可以先发消息
+        if (!isInitiator) {
+            const sendingKeyPair = nacl.box.keyPair();
+            const [nextRootKey, sendingChainKey] = this.kdfRootKey(
+                nacl.util.decodeBase64(state.rootKey),
+                this.crypto.dh(sendingKeyPair.secretKey, theirPrekeyBytes)
+            );
+            state.sendingKeyPair = this.encodeKeyPair(sendingKeyPair);
+            state.rootKey = nextRootKey;
+            state.sendingChainKey = sendingChainKey;
+        }
+
+        return state;
+    }
+
+    // 加密一条消息
+    async encrypt(peerId, plaintext) {
+        return this.withLock(peerId, async () => {
+            const record = await this.storage.getSession(peerId);
+            if (!record || !record.current) {
+                throw new Error('与该联系人的加密会话尚未建立');
+            }
+
+            const state = this.cloneState(record.current);
+            const [chainKey, messageKey] = this.kdfChainKey(state.sendingChainKey);
+            state.sendingChainKey = chainKey;
+
+            const header = {
+                dh: state.sendingKeyPair.publicKey,
+                pn: state.previousSendCount,
+                n: state.sendCount
+            };
+            state.sendCount++;
+
+            const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+            const key = this.deriveMessageKey(messageKey, state.sessionId, header);
+            const encrypted = nacl.secretbox(nacl.util.decodeUTF8(plaintext), nonce, key);
+
+            await this.storage.saveSession({ ...record, current: state });
+
+            return {
+                sessionId: state.sessionId,
+                header,
+                encrypted: nacl.util.encodeBase64(encrypted),
+                nonce: nacl.util.encodeBase64(nonce)
+            };
+        });
+    }
+
+    // 解密一条消息，支持跳过和乱序的消息密钥
+    async decrypt(peerId, envelope) {
+        return this.withLock(peerId, async () => {
+            const record = await this.storage.getSession(peerId);
+            if (!record || !envelope.header) {
+                return null;
+            }
+
+            const slot = ['current', 'previous'].find(name =>
+                record[name] && record[name].sessionId === envelope.sessionId
+            );
+            if (!slot) {
+                console.error('未找到对应的加密会话:', envelope.sessionId);
+                return null;
+            }
+
+            // 在副本上推进状态，只有解密成功才提交
+            const state = this.cloneState(record[slot]);
+            let plaintext;
+            try {
+                plaintext = this.ratchetDecrypt(state, envelope);
+            } catch (error) {
+                console.error('棘轮解密错误:', error);
+                return null;
+            }
+
+            if (plaintext === null) {
+                return null;
+            }
+
+            await this.storage.saveSession({ ...record, [slot]: state });
+            return plaintext;
+        });
+    }
+
+    ratchetDecrypt(state, envelope) {
+        const { header } = envelope;
+        const skippedId = `${header.dh}:${header.n}`;
+
+        if (state.skippedKeys[skippedId]) {
+            const messageKey = nacl.util.decodeBase64(state.skippedKeys[skippedId].key);
+            delete state.skippedKeys[skippedId];
+            return this.openMessage(messageKey, state.sessionId, envelope);
+        }
+
+        if (header.dh !== state.remoteRatchetKey) {
+            this.skipMessageKeys(state, header.pn);
+            this.dhRatchet(state, header);
+        }
+
+        this.skipMessageKeys(state, header.n);
+
+        const [chainKey, messageKey] = this.kdfChainKey(state.receivingChainKey);
+        state.receivingChainKey = chainKey;
+        state.receiveCount++;
+
+        return this.openMessage(messageKey, state.sessionId, envelope);
+    }
+
+    // 为尚未收到的消息预先计算并保存密钥
+    skipMessageKeys(state, until) {
+        if (!state.receivingChainKey) {
+            return;
+        }
+
+        if (until - state.receiveCount > this.maxSkip) {
+            throw new Error('跳过的消息过多');
+        }
+
+        while (state.receiveCount < until) {
+            const [chainKey, messageKey] = this.kdfChainKey(state.receivingChainKey);
+            state.receivingChainKey = chainKey;
+            state.skippedKeys[`${state.remoteRatchetKey}:${state.receiveCount}`] = {
+                key: nacl.util.encodeBase64(messageKey),
+                storedAt: Date.now()
+            };
+            state.receiveCount++;
+        }
+
+        // 限制保存的跳过密钥数量，丢弃最旧的
+        const ids = Object.keys(state.skippedKeys);
+        if (ids.length > this.maxStoredSkipped) {
+            ids.sort((a, b) => state.skippedKeys[a].storedAt - state.skippedKeys[b].storedAt)
+                .slice(0, ids.length - this.maxStoredSkipped)
+                .forEach(id => delete state.skippedKeys[id]);
+        }
+    }
+
+    // DH 棘轮步进
+    dhRatchet(state, header) {
+        state.previousSendCount = state.sendCount;
+        state.sendCount = 0;
+        state.receiveCount = 0;
+        state.remoteRatchetKey = header.dh;
+
+        const remoteKey = nacl.util.decodeBase64(header.dh);
+        const currentSecret = nacl.util.decodeBase64(state.sendingKeyPair.secretKey);
+        [state.rootKey, state.receivingChainKey] = this.kdfRootKey(
+            nacl.util.decodeBase64(state.rootKey),
+            this.crypto.dh(currentSecret, remoteKey)
+        );
+
+        const sendingKeyPair = nacl.box.keyPair();
+        state.sendingKeyPair = this.encodeKeyPair(sendingKeyPair);
+        [state.rootKey, state.sendingChainKey] = this.kdfRootKey(
+            nacl.util.decodeBase64(state.rootKey),
+            this.crypto.dh(sendingKeyPair.secretKey, remoteKey)
+        );
+    }
+
+    // 根密钥 KDF：返回 [新根密钥, 新链密钥]（base64）
+    kdfRootKey(rootKey, dhOutput) {
+        const output = this.crypto.hkdf(dhOutput, rootKey, 'YHYS-Ratchet', 64);
+        return [
+            nacl.util.encodeBase64(output.slice(0, 32)),
+            nacl.util.encodeBase64(output.slice(32, 64))
+        ];
+    }
+
+    // 链密钥 KDF：返回 [新链密钥（base64）, 消息密钥]
+    kdfChainKey(chainKey) {
+        const key = nacl.util.decodeBase64(chainKey);
+        const messageKey = this.crypto.hmac(key, new Uint8Array([1])).slice(0, 32);
+        const nextChainKey = this.crypto.hmac(key, new Uint8Array([2])).slice(0, 32);
+        return [nacl.util.encodeBase64(nextChainKey), messageKey];
+    }
+
+    // 将消息头绑定到加密密钥上，篡改消息头会导致解密失败
+    deriveMessageKey(messageKey, sessionId, header) {
+        const headerBytes = nacl.util.decodeUTF8(JSON.stringify({ sessionId, ...header }));
+        return this.crypto.hmac(messageKey, headerBytes).slice(0, 32);
+    }
+
+    openMessage(messageKey, sessionId, envelope) {
+        const key = this.deriveMessageKey(messageKey, sessionId, envelope.header);
+        const decrypted = nacl.secretbox.open(
+            nacl.util.decodeBase64(envelope.encrypted),
+            nacl.util.decodeBase64(envelope.nonce),
+            key
+        );
+        return decrypted ? nacl.util.encodeUTF8(decrypted) : null;
+    }
+
+    encodeKeyPair(keyPair) {
+        return {
+            publicKey: nacl.util.encodeBase64(keyPair.publicKey),
+            secretKey: nacl.util.encodeBase64(keyPair.secretKey)
+        };
+    }
+
+    cloneState(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    // 安全擦除预密钥
+    secureWipe() {
+        if (this.prekey) {
+            try {
+                this.prekey.secretKey.fill(0);
+            } catch (e) {
+                console.warn('擦除预密钥时出错:', e);
+            }
+        }
+        this.prekey = null;
+        this.locks.clear();
+    }
+}
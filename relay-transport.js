@@ -0,0 +1,194 @@
+import { Transport } from './transport.js';
+import { TransportConnection } from './transport-connection.js';
+
+// WebSocket 中继传输：所有数据经 tools/relay-server.js 转发，适用于 WebRTC 被阻止的网络。
+// 中继只能看到收发双方的 ID 和已经端到端加密的消息内容
+export class RelayTransport extends Transport {
+    constructor(options = {}) {
+        super();
+        this.url = options.url;
+        this.WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.socket = null;
+        this.registered = false;
+        this.connections = new Map();
+        this.watched = [];
+    }
+
+    listen(peerId) {
+        this.id = peerId;
+        this.openSocket();
+    }
+
+    openSocket() {
+        if (!this.WebSocketImpl) {
+            setTimeout(() => this.emit('error', this.createError('browser-incompatible', '当前环境不支持 WebSocket')), 0);
+            return;
+        }
+
+        let socket;
+        try {
+            socket = new this.WebSocketImpl(this.url);
+        } catch (error) {
+            setTimeout(() => this.emit('error', this.createError('network', `中继服务器地址无效: ${error.message}`)), 0);
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.sendFrame({ type: 'register', id: this.id });
+        };
+
+        socket.onmessage = (event) => {
+            let frame;
+            try {
+                frame = JSON.parse(event.data);
+            } catch (error) {
+                console.error('无法解析中继消息:', error);
+                return;
+            }
+            this.handleFrame(frame);
+        };
+
+        // 出错后总会触发 close，统一在 close 中处理
+        socket.onerror = () => {};
+
+        socket.onclose = () => {
+            if (this.socket !== socket) {
+                return;
+            }
+
+            const wasRegistered = this.registered;
+            this.socket = null;
+            this.registered = false;
+            this.disconnected = true;
+            Array.from(this.connections.values()).forEach(conn => conn.handleRemoteClose());
+
+            if (this.destroyed) {
+                return;
+            }
+            if (wasRegistered) {
+                this.emit('disconnected');
+            } else {
+                this.emit('error', this.createError('network', '无法连接中继服务器'));
+            }
+        };
+    }
+
+    handleFrame(frame) {
+        const key = `${frame.from}:${frame.connId}`;
+
+        switch (frame.type) {
+            case 'registered':
+                this.registered = true;
+                this.disconnected = false;
+                this.emit('open', this.id);
+                if (this.watched.length > 0) {
+                    this.sendFrame({ type: 'watch', ids: this.watched });
+                }
+                break;
+
+            case 'error':
+                if (frame.connId && this.connections.has(`${frame.peer}:${frame.connId}`)) {
+                    this.connections.get(`${frame.peer}:${frame.connId}`)
+                        .fail(this.createError(frame.errorType, frame.message || '连接失败'));
+                } else {
+                    this.emit('error', this.createError(frame.errorType || 'server-error', frame.message || '中继服务器错误'));
+                }
+                break;
+
+            case 'presence':
+                this.emit('presence', { peerId: frame.id, online: frame.online === true });
+                break;
+
+            case 'connect': {
+                const conn = this.createConnection(frame.from, frame.connId);
+                this.emit('connection', conn);
+                this.sendFrame({ type: 'accept', to: frame.from, connId: frame.connId });
+                conn.markOpen();
+                break;
+            }
+
+            case 'accept':
+                if (this.connections.has(key)) {
+                    this.connections.get(key).markOpen();
+                }
+                break;
+
+            case 'data':
+                if (this.connections.has(key)) {
+                    this.connections.get(key).receive(frame.data);
+                }
+                break;
+
+            case 'close':
+                if (this.connections.has(key)) {
+                    this.connections.get(key).handleRemoteClose();
+                }
+                break;
+
+            case 'peer-left':
+                this.connections.forEach(conn => {
+                    if (conn.peer === frame.from) {
+                        conn.handleRemoteClose();
+                    }
+                });
+                break;
+
+            default:
+                console.warn('未知的中继消息类型:', frame.type);
+        }
+    }
+
+    connect(peerId) {
+        const connId = Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+        const conn = this.createConnection(peerId, connId);
+
+        if (!this.registered) {
+            setTimeout(() => conn.fail(this.createError('disconnected', '未连接中继服务器')), 0);
+        } else {
+            this.sendFrame({ type: 'connect', to: peerId, connId });
+        }
+        return conn;
+    }
+
+    createConnection(peerId, connId) {
+        const key = `${peerId}:${connId}`;
+        const conn = new TransportConnection(peerId, {
+            send: (data) => this.sendFrame({ type: 'data', to: peerId, connId, data }),
+            close: () => this.sendFrame({ type: 'close', to: peerId, connId })
+        });
+        this.connections.set(key, conn);
+        conn.on('close', () => this.connections.delete(key));
+        return conn;
+    }
+
+    sendFrame(frame) {
+        // 1 = WebSocket.OPEN
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(frame));
+        }
+    }
+
+    watch(peerIds) {
+        this.watched = Array.from(peerIds);
+        if (this.registered) {
+            this.sendFrame({ type: 'watch', ids: this.watched });
+        }
+    }
+
+    reconnect() {
+        if (!this.destroyed && !this.socket) {
+            this.openSocket();
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        Array.from(this.connections.values()).forEach(conn => conn.close());
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
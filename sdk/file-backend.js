@@ -0,0 +1,81 @@
+import { readFile, writeFile, rename, unlink } from 'node:fs/promises';
+import { MemoryBackend } from '../memory-backend.js';
+
+// 文件存储后端：数据保存在内存中，每次修改后整体写入一个 JSON 文件。
+// 文件中的记录已由 SecureStorage 加密，只有主键和索引字段是明文
+export class FileBackend extends MemoryBackend {
+    constructor(path) {
+        super();
+        this.path = path;
+        this.writing = Promise.resolve();
+    }
+
+    async open(schema) {
+        if (!this.stores) {
+            this.stores = await this.load();
+        }
+        return super.open(schema);
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new Map();
+            }
+            throw new Error(`读取存储文件失败: ${error.message}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`存储文件已损坏: ${this.path}`);
+        }
+
+        const stores = new Map();
+        Object.entries(data.stores || {}).forEach(([storeName, store]) => {
+            stores.set(storeName, {
+                nextKey: store.nextKey,
+                records: new Map(store.records)
+            });
+        });
+        return stores;
+    }
+
+    // 先写临时文件再改名，写入中途退出不会留下损坏的文件；多次修改按顺序写入
+    persist() {
+        const snapshot = this.serialize();
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const tempPath = `${this.path}.tmp`;
+            await writeFile(tempPath, snapshot, { mode: 0o600 });
+            await rename(tempPath, this.path);
+        });
+        return this.writing;
+    }
+
+    serialize() {
+        const stores = {};
+        this.stores.forEach((store, storeName) => {
+            stores[storeName] = {
+                nextKey: store.nextKey,
+                records: Array.from(store.records.entries())
+            };
+        });
+        return JSON.stringify({ format: 'yhys-store', version: 1, stores });
+    }
+
+    async destroy() {
+        await this.writing.catch(() => {});
+        await super.destroy();
+        try {
+            await unlink(this.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+}
@@ -0,0 +1,20 @@
+// 网页版通过 vendor/ 中的脚本以全局变量提供 nacl 和 scrypt，Node 中从 npm 包安装同名全局变量；
+// 必须在导入其他模块之前导入
+import nacl from 'tweetnacl';
+import naclUtil from 'tweetnacl-util';
+import scrypt from 'scrypt-js';
+import { WebSocket } from 'ws';
+
+if (!globalThis.nacl) {
+    nacl.util = naclUtil;
+    globalThis.nacl = nacl;
+}
+
+if (!globalThis.scrypt) {
+    globalThis.scrypt = scrypt;
+}
+
+// Node 22 之前没有内置 WebSocket，中继传输需要它
+if (!globalThis.WebSocket) {
+    globalThis.WebSocket = WebSocket;
+}
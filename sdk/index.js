@@ -0,0 +1,94 @@
+// 无界面入口：在 Node 中使用与网页版相同的协议实现，用于机器人、集成测试和命令行工具
+import './globals.js';
+import { CryptoManager } from '../crypto.js';
+import { SecureStorage } from '../storage.js';
+import { Session } from '../session.js';
+import { P2PNetwork } from '../p2p.js';
+import { DoubleRatchet } from '../ratchet.js';
+import { ExpiryScheduler } from '../expiry.js';
+import { MemoryBackend } from '../memory-backend.js';
+import { Transport } from '../transport.js';
+import { TransportConnection } from '../transport-connection.js';
+import { MemoryTransport } from '../memory-transport.js';
+import { RelayTransport } from '../relay-transport.js';
+import { FileBackend } from './file-backend.js';
+
+export {
+    CryptoManager,
+    SecureStorage,
+    Session,
+    P2PNetwork,
+    DoubleRatchet,
+    ExpiryScheduler,
+    MemoryBackend,
+    FileBackend,
+    Transport,
+    TransportConnection,
+    MemoryTransport,
+    RelayTransport
+};
+
+// 同一进程内的实例通过 hub 通信，不传 hub 时使用进程内共享的默认 hub
+export function memoryTransport(hub) {
+    return () => new MemoryTransport({ hub });
+}
+
+// 通过 tools/relay-server.js 通信，例如 relayTransport('ws://127.0.0.1:9001/')
+export function relayTransport(url) {
+    return () => new RelayTransport({ url });
+}
+
+// 创建并连接一个无界面节点
+//   passphrase  存储口令（必填，首次使用时设置）
+//   storage     存储后端，默认 MemoryBackend；传入字符串时作为 FileBackend 的文件路径
+//   mnemonic    存储中没有身份时用助记词恢复，否则生成新的助记词身份
+//   transport   传输工厂 (networkSettings) => Transport，默认按保存的网络设置创建
+//   kdfParams   scrypt 参数，测试时可调低
+// 返回 { session, network, storage, identity, mnemonic }，mnemonic 只在新生成身份时返回
+export async function createNode(options = {}) {
+    if (!options.passphrase) {
+        throw new Error('需要提供存储口令');
+    }
+
+    const backend = typeof options.storage === 'string'
+        ? new FileBackend(options.storage)
+        : (options.storage || new MemoryBackend());
+    // 存储密钥按 dbName 保存在进程内，每个节点需要不同的名称
+    const storage = new SecureStorage({
+        backend,
+        dbName: options.name ||
+            (typeof options.storage === 'string' ? options.storage : `node-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`)
+    });
+    if (options.kdfParams) {
+        storage.kdfParams = options.kdfParams;
+    }
+
+    await storage.init();
+    if (await storage.hasPassphrase()) {
+        // 无界面环境不执行胁迫口令的静默销毁，按口令错误处理
+        const result = await storage.unlock(options.passphrase);
+        if (result.duress) {
+            throw new Error('口令错误');
+        }
+    } else {
+        await storage.setupPassphrase(options.passphrase);
+    }
+
+    const session = new Session({ storage });
+    let identity = await storage.getIdentity();
+    let mnemonic = null;
+    if (!identity) {
+        if (options.mnemonic) {
+            identity = await session.crypto.restoreIdentityFromMnemonic(options.mnemonic);
+        } else {
+            ({ identity, mnemonic } = await session.crypto.generateMnemonicIdentity());
+        }
+        await storage.saveIdentity(identity);
+    }
+    await session.activate(identity);
+
+    const network = new P2PNetwork({ session, createTransport: options.transport });
+    session.attach(network);
+    await network.init();
+    return { session, network, storage, identity: session.identity, mnemonic };
+}
@@ -1,13 +1,31 @@
 // 简单的Service Worker用于PWA
-const CACHE_NAME = 'p2p-chat-v1';
+const CACHE_NAME = 'p2p-chat-v10';
 const urlsToCache = [
   '/',
   '/index.html',
   '/style.css',
   '/app.js',
+  '/wordlist.js',
   '/crypto.js',
+  '/transport.js',
+  '/transport-connection.js',
+  '/peerjs-transport.js',
+  '/relay-transport.js',
+  '/session.js',
   '/p2p.js',
-  '/storage.js'
+  '/tab-coordinator.js',
+  '/network-proxy.js',
+  '/ratchet.js',
+  '/expiry.js',
+  '/autolock.js',
+  '/storage.js',
+  '/indexeddb-backend.js',
+  '/vendor/peerjs.min.js',
+  '/vendor/nacl-fast.min.js',
+  '/vendor/nacl-util.min.js',
+  '/vendor/scrypt.js',
+  '/vendor/qrcode.js',
+  '/vendor/jsQR.js'
 ];
 
 self.addEventListener('install', (event) => {
@@ -0,0 +1,134 @@
+import { CryptoManager } from './crypto.js';
+import { SecureStorage } from './storage.js';
+
+// 会话上下文：应用、网络层和其他模块共用同一个身份、CryptoManager、SecureStorage 和网络实例，
+// 并从 state 读取生命周期状态：
+//   locked     存储未解锁，内存中没有密钥
+//   unlocked   存储已解锁，网络尚未连接（或还没有身份）
+//   online     网络已连接（跟随者标签页表示已连接到领导标签页）
+//   offline    网络初始化失败或与信令服务器断开
+//   destroyed  所有数据已销毁
+export class Session {
+    constructor(options = {}) {
+        this.crypto = options.crypto || new CryptoManager();
+        this.storage = options.storage || new SecureStorage();
+        this.network = options.network || null;
+        this.identity = null;
+        this.state = 'locked';
+        this.eventHandlers = new Map();
+    }
+
+    setState(state) {
+        if (this.state === state) {
+            return;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.emit('state-changed', { state, previous });
+    }
+
+    isUnlocked() {
+        return ['unlocked', 'online', 'offline'].includes(this.state);
+    }
+
+    isOnline() {
+        return this.state === 'online';
+    }
+
+    // 网络层报告连接状态；锁定或已销毁时状态不变，解锁后由网络层重新报告
+    setConnectivity(online) {
+        if (this.isUnlocked()) {
+            this.setState(online ? 'online' : 'offline');
+        }
+    }
+
+    // 注入网络实例（P2PNetwork 或跟随者标签页的 NetworkProxy）
+    attach(network) {
+        this.network = network;
+    }
+
+    // 存储解锁后调用
+    markUnlocked() {
+        if (!this.isUnlocked()) {
+            this.setState('unlocked');
+        }
+    }
+
+    // 加载身份密钥，之后网络层和应用使用同一份密钥；
+    // 旧版身份加载时会升级（补充签名密钥、迁移到 did:key），需要持久化
+    async activate(identity) {
+        if (!this.crypto.loadIdentity(identity)) {
+            throw new Error('无法加载身份密钥');
+        }
+
+        this.identity = this.crypto.getCurrentUser();
+        if (this.identity !== identity) {
+            await this.storage.saveIdentity(this.identity);
+        }
+        this.markUnlocked();
+        return this.identity;
+    }
+
+    // 锁定：网络暂停（之后收到的消息进入加密收件箱），擦除内存中的密钥并锁定存储
+    async lock() {
+        if (this.state === 'locked') {
+            return;
+        }
+        this.setState('locked');
+
+        try {
+            // 收件箱密钥需要用存储密钥加密，必须在锁定存储之前创建
+            if (this.network && this.network.initialized) {
+                await this.network.pause();
+            }
+        } catch (error) {
+            console.error('暂停网络消息处理失败:', error);
+        }
+
+        this.crypto.secureWipe();
+        this.storage.lock();
+        this.identity = null;
+    }
+
+    // 停止网络并删除所有数据；silent 见 SecureStorage.destroyAllData
+    async destroy(options) {
+        if (this.network) {
+            this.network.destroy();
+        }
+        await this.storage.destroyAllData(options);
+        this.crypto.secureWipe();
+        this.identity = null;
+        this.setState('destroyed');
+    }
+
+    // 其他标签页已销毁数据：停止网络并擦除内存中的密钥，锁定存储后不再读写（数据库可能已被对方重建）
+    terminate() {
+        if (this.network) {
+            this.network.destroy();
+        }
+        this.crypto.secureWipe();
+        this.storage.lock();
+        this.identity = null;
+        this.setState('destroyed');
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}
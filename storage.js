@@ -1,101 +1,300 @@
-class SecureStorage {
-    constructor() {
-        this.dbName = 'P2PChatDB';
-        this.version = 2;
-        this.db = null;
+import { IndexedDBBackend } from './indexeddb-backend.js';
+
+export class SecureStorage {
+    // options.backend: 存储后端（默认 IndexedDB），Node 中可使用 MemoryBackend 或 FileBackend
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'P2PChatDB';
+        this.version = 7;
+        this.backend = options.backend || null;
         this.initialized = false;
         this.initPromise = null;
+
+        // 加密存储时保持明文的字段（主键和索引字段），其余字段整体加密
+        this.plainFields = {
+            identity: ['id'],
+            contacts: ['peerId'],
+            messages: ['id', 'contactPeerId', 'timestamp', 'expiresAt'],
+            selfDestructMessages: ['id', 'expiresAt'],
+            sessions: ['peerId'],
+            settings: ['id'],
+            outbox: ['id', 'contactPeerId']
+        };
+
+        // scrypt 参数（内存占用约 32MB）
+        this.kdfParams = { N: 32768, r: 8, p: 1 };
     }
 
     async init() {
-        if (this.initialized && this.db) {
-            return this.db;
+        if (this.initialized && this.backend && this.backend.isOpen()) {
+            return this.backend;
         }
 
         if (this.initPromise) {
             return this.initPromise;
         }
 
-        this.initPromise = new Promise((resolve, reject) => {
-            console.log('开始初始化数据库...');
-            
-            const request = indexedDB.open(this.dbName, this.version);
-            
-            request.onerror = (event) => {
-                console.error('数据库打开失败:', event.target.error);
-                this.initPromise = null;
-                reject(new Error(`数据库初始化失败: ${event.target.error}`));
-            };
-            
-            request.onsuccess = (event) => {
-                console.log('数据库初始化成功');
-                this.db = event.target.result;
-                this.initialized = true;
-                
-                this.db.onerror = (event) => {
-                    console.error('数据库错误:', event.target.error);
-                };
-                
-                resolve(this.db);
-            };
-            
-            request.onupgradeneeded = (event) => {
-                console.log('数据库升级中，版本:', event.oldVersion, '->', event.newVersion);
-                const db = event.target.result;
-                
-                if (event.oldVersion < 1) {
-                    this.createStores(db);
-                } else {
-                    this.handleUpgrade(db, event.oldVersion, event.newVersion);
-                }
-            };
+        if (!this.backend) {
+            this.backend = new IndexedDBBackend(this.dbName, this.version);
+        }
+        this.backend.onclose = () => {
+            this.initialized = false;
+            this.initPromise = null;
+        };
+
+        console.log('开始初始化数据库...');
+        this.initPromise = this.backend.open(SecureStorage.STORES).then(() => {
+            console.log('数据库初始化成功');
+            this.initialized = true;
+            return this.backend;
+        }).catch(error => {
+            this.initPromise = null;
+            throw error;
         });
 
         return this.initPromise;
     }
 
-    createStores(db) {
-        if (!db.objectStoreNames.contains('identity')) {
-            db.createObjectStore('identity', { keyPath: 'id' });
+    async ensureInitialized() {
+        if (!this.initialized || !this.backend || !this.backend.isOpen()) {
+            await this.init();
         }
-        
-        if (!db.objectStoreNames.contains('contacts')) {
-            db.createObjectStore('contacts', { keyPath: 'peerId' });
+        return true;
+    }
+
+    // 当前数据库的存储密钥（同一页面内的所有 SecureStorage 实例共享）
+    get encryptionKey() {
+        return SecureStorage.keyring.get(this.dbName) || null;
+    }
+
+    // 是否已设置解锁口令
+    async hasPassphrase() {
+        await this.ensureInitialized();
+        return !!(await this.get('meta', 'lock'));
+    }
+
+    // 是否处于锁定状态
+    isLocked() {
+        return !this.encryptionKey;
+    }
+
+    // 用 scrypt 从口令派生存储密钥
+    async deriveKey(passphrase, salt, params) {
+        if (typeof scrypt === 'undefined') {
+            throw new Error('scrypt 库未加载');
         }
-        
-        if (!db.objectStoreNames.contains('messages')) {
-            const messageStore = db.createObjectStore('messages', { 
-                keyPath: 'id', 
-                autoIncrement: true 
-            });
-            messageStore.createIndex('contactPeerId', 'contactPeerId', { unique: false });
-            messageStore.createIndex('timestamp', 'timestamp', { unique: false });
+        const passwordBytes = nacl.util.decodeUTF8(passphrase.normalize('NFKC'));
+        return scrypt.scrypt(passwordBytes, salt, params.N, params.r, params.p, nacl.secretbox.keyLength);
+    }
+
+    // 生成锁定元数据：盐值、KDF 参数和用于校验口令的密文
+    // 沿用原有盐值时，已设置的胁迫口令在修改口令后依然有效
+    async createLockRecord(passphrase, previous = null) {
+        const salt = previous ? nacl.util.decodeBase64(previous.salt) : nacl.randomBytes(16);
+        const params = previous ? previous.params : { ...this.kdfParams };
+        const key = await this.deriveKey(passphrase, salt, params);
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const verifier = nacl.secretbox(nacl.util.decodeUTF8(this.dbName), nonce, key);
+
+        return {
+            key,
+            record: {
+                id: 'lock',
+                kdf: 'scrypt',
+                params: params,
+                salt: nacl.util.encodeBase64(salt),
+                verifier: nacl.util.encodeBase64(verifier),
+                verifierNonce: nacl.util.encodeBase64(nonce),
+                duress: previous && previous.duress ? previous.duress : this.createDummyDuressSlot()
+            }
+        };
+    }
+
+    // 胁迫口令槽位始终存在，未设置时填充等长的随机数据，无法看出是否设置过
+    createDummyDuressSlot() {
+        return {
+            verifier: nacl.util.encodeBase64(nacl.randomBytes(32 + nacl.secretbox.overheadLength)),
+            nonce: nacl.util.encodeBase64(nacl.randomBytes(nacl.secretbox.nonceLength))
+        };
+    }
+
+    openVerifier(verifier, nonce, key) {
+        return nacl.secretbox.open(nacl.util.decodeBase64(verifier), nacl.util.decodeBase64(nonce), key);
+    }
+
+    // 首次设置口令，并加密已有的明文数据
+    async setupPassphrase(passphrase) {
+        await this.ensureInitialized();
+        if (await this.hasPassphrase()) {
+            throw new Error('已设置口令');
         }
-        
-        if (!db.objectStoreNames.contains('selfDestructMessages')) {
-            const sdStore = db.createObjectStore('selfDestructMessages', { keyPath: 'id' });
-            sdStore.createIndex('expiresAt', 'expiresAt', { unique: false });
+
+        const { key, record } = await this.createLockRecord(passphrase);
+        await this.reencryptAll(null, key, record);
+        SecureStorage.keyring.set(this.dbName, key);
+        return true;
+    }
+
+    // 用口令解锁；输入胁迫口令时不解锁，返回 { duress: true }，由调用方静默销毁数据
+    async unlock(passphrase) {
+        await this.ensureInitialized();
+        const record = await this.get('meta', 'lock');
+        if (!record) {
+            throw new Error('尚未设置口令');
+        }
+
+        const key = await this.deriveKey(passphrase, nacl.util.decodeBase64(record.salt), record.params);
+        if (this.openVerifier(record.verifier, record.verifierNonce, key)) {
+            SecureStorage.keyring.set(this.dbName, key);
+            return { duress: false };
         }
 
-        console.log('所有对象存储创建完成');
+        const duressFlags = record.duress && this.openVerifier(record.duress.verifier, record.duress.nonce, key);
+        key.fill(0);
+        if (duressFlags) {
+            return { duress: true, notifyContacts: duressFlags[0] === 1 };
+        }
+
+        throw new Error('口令错误');
     }
 
-    handleUpgrade(db, oldVersion, newVersion) {
-        console.log(`处理数据库升级: ${oldVersion} -> ${newVersion}`);
-        
-        if (oldVersion < 2) {
-            this.createStores(db);
-            console.log('数据库升级到版本2完成');
+    // 设置胁迫口令（需已解锁），notifyContacts 加密保存在槽位中
+    async setDuressPassphrase(duressPassphrase, notifyContacts) {
+        await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('存储已锁定');
+        }
+
+        const record = await this.get('meta', 'lock');
+        const key = await this.deriveKey(duressPassphrase, nacl.util.decodeBase64(record.salt), record.params);
+        if (this.openVerifier(record.verifier, record.verifierNonce, key)) {
+            key.fill(0);
+            throw new Error('胁迫口令不能与解锁口令相同');
         }
+
+        const flags = new Uint8Array(32);
+        flags[0] = notifyContacts ? 1 : 0;
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const verifier = nacl.secretbox(flags, nonce, key);
+        key.fill(0);
+
+        record.duress = {
+            verifier: nacl.util.encodeBase64(verifier),
+            nonce: nacl.util.encodeBase64(nonce)
+        };
+        return this.put('meta', record);
     }
 
-    async ensureInitialized() {
-        if (!this.initialized || !this.db) {
-            await this.init();
+    // 清除胁迫口令
+    async clearDuressPassphrase() {
+        await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('存储已锁定');
+        }
+
+        const record = await this.get('meta', 'lock');
+        record.duress = this.createDummyDuressSlot();
+        return this.put('meta', record);
+    }
+
+    // 锁定并擦除内存中的存储密钥
+    lock() {
+        const key = SecureStorage.keyring.get(this.dbName);
+        if (key) {
+            key.fill(0);
         }
+        SecureStorage.keyring.delete(this.dbName);
+    }
+
+    // 修改口令：用旧口令解锁后以新密钥重新加密全部数据
+    async changePassphrase(oldPassphrase, newPassphrase) {
+        const result = await this.unlock(oldPassphrase);
+        if (result.duress) {
+            throw new Error('口令错误');
+        }
+
+        const oldKey = this.encryptionKey;
+        const previous = await this.get('meta', 'lock');
+        const { key, record } = await this.createLockRecord(newPassphrase, previous);
+        if (this.openVerifier(record.duress.verifier, record.duress.nonce, key)) {
+            key.fill(0);
+            throw new Error('新口令不能与胁迫口令相同');
+        }
+        await this.reencryptAll(oldKey, key, record);
+
+        oldKey.fill(0);
+        SecureStorage.keyring.set(this.dbName, key);
         return true;
     }
 
+    // 在一个事务中重新加密所有加密存储，并写入新的锁定元数据；
+    // oldKey 为 null 时是首次设置口令，旧版的明文记录只在这次迁移中被接受
+    async reencryptAll(oldKey, newKey, lockRecord) {
+        await this.ensureInitialized();
+        return this.backend.rewrite(
+            Object.keys(this.plainFields),
+            (storeName, record) => this.sealRecord(
+                storeName,
+                oldKey ? this.openRecord(storeName, record, oldKey) : record,
+                newKey
+            ),
+            [{ storeName: 'meta', record: lockRecord }]
+        );
+    }
+
+    // 加密记录：保留主键和索引字段，其余字段放入 sealed
+    sealRecord(storeName, data, key = this.encryptionKey) {
+        const plainFields = this.plainFields[storeName];
+        if (!plainFields) {
+            return data;
+        }
+        if (!key) {
+            throw new Error('存储已锁定');
+        }
+
+        const record = {};
+        const secret = {};
+        Object.keys(data).forEach(field => {
+            if (plainFields.includes(field)) {
+                record[field] = data[field];
+            } else {
+                secret[field] = data[field];
+            }
+        });
+
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const encrypted = nacl.secretbox(nacl.util.decodeUTF8(JSON.stringify(secret)), nonce, key);
+        record.sealed = {
+            nonce: nacl.util.encodeBase64(nonce),
+            data: nacl.util.encodeBase64(encrypted)
+        };
+        return record;
+    }
+
+    // 解密记录；没有 sealed 字段的记录不是本存储写入的（明文已在设置口令时迁移），不予信任
+    openRecord(storeName, record, key = this.encryptionKey) {
+        if (!record || !this.plainFields[storeName]) {
+            return record;
+        }
+        if (!record.sealed) {
+            throw new Error(`记录未加密 (${storeName})`);
+        }
+        if (!key) {
+            throw new Error('存储已锁定');
+        }
+
+        const decrypted = nacl.secretbox.open(
+            nacl.util.decodeBase64(record.sealed.data),
+            nacl.util.decodeBase64(record.sealed.nonce),
+            key
+        );
+        if (!decrypted) {
+            throw new Error(`记录解密失败 (${storeName})`);
+        }
+
+        const { sealed, ...plain } = record;
+        return { ...plain, ...JSON.parse(nacl.util.encodeUTF8(decrypted)) };
+    }
+
     async saveContact(contact) {
         await this.ensureInitialized();
         
@@ -119,6 +318,11 @@ class SecureStorage {
 
     async saveIdentity(identity) {
         await this.ensureInitialized();
+
+        if (!identity.privateKey || !identity.signPrivateKey) {
+            throw new Error('身份必须同时包含加密密钥和签名密钥');
+        }
+
         return this.put('identity', { id: 'user', ...identity });
     }
 
@@ -134,12 +338,19 @@ class SecureStorage {
             throw new Error('消息必须包含 contactPeerId');
         }
         
+        // 消息 ID 随备份导出和合并，没有 ID 的消息（如系统提示）保存时生成随机 ID，不使用自增序号
         return this.put('messages', {
             ...message,
+            id: message.id || 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
             timestamp: message.timestamp || Date.now()
         });
     }
 
+    async getMessage(messageId) {
+        await this.ensureInitialized();
+        return this.get('messages', messageId);
+    }
+
     async getMessages(contactPeerId) {
         await this.ensureInitialized();
         const messages = await this.getAll('messages');
@@ -148,6 +359,152 @@ class SecureStorage {
             .sort((a, b) => a.timestamp - b.timestamp);
     }
 
+    async saveOutboxItem(item) {
+        await this.ensureInitialized();
+
+        if (!item.id || !item.contactPeerId) {
+            throw new Error('发件箱条目必须包含 id 和 contactPeerId');
+        }
+
+        return this.put('outbox', item);
+    }
+
+    async getOutboxItem(messageId) {
+        await this.ensureInitialized();
+        return this.get('outbox', messageId);
+    }
+
+    // 获取发给某个联系人的待投递消息（按入队时间排序）
+    async getOutboxItems(contactPeerId) {
+        await this.ensureInitialized();
+        const items = await this.getAll('outbox');
+        return items
+            .filter(item => item.contactPeerId === contactPeerId)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async deleteOutboxItem(messageId) {
+        await this.ensureInitialized();
+        return this.delete('outbox', messageId);
+    }
+
+    async saveSession(session) {
+        await this.ensureInitialized();
+
+        if (!session.peerId) {
+            throw new Error('会话必须包含 peerId');
+        }
+
+        return this.put('sessions', session);
+    }
+
+    async getSession(peerId) {
+        await this.ensureInitialized();
+        return this.get('sessions', peerId);
+    }
+
+    async deleteSession(peerId) {
+        await this.ensureInitialized();
+        return this.delete('sessions', peerId);
+    }
+
+    async getSetting(id, defaults = {}) {
+        await this.ensureInitialized();
+        const record = await this.get('settings', id);
+        return { ...defaults, ...(record ? record.value : {}) };
+    }
+
+    async saveSetting(id, value) {
+        await this.ensureInitialized();
+        return this.put('settings', { id, value });
+    }
+
+    // 锁定前生成收件箱密钥对：私钥用存储密钥加密保存，内存中只保留公钥
+    async createInboxKey() {
+        await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('存储已锁定');
+        }
+
+        const keyPair = nacl.box.keyPair();
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const sealedSecretKey = nacl.secretbox(keyPair.secretKey, nonce, this.encryptionKey);
+        keyPair.secretKey.fill(0);
+
+        await this.put('meta', {
+            id: 'inbox-key',
+            publicKey: nacl.util.encodeBase64(keyPair.publicKey),
+            sealedSecretKey: nacl.util.encodeBase64(sealedSecretKey),
+            nonce: nacl.util.encodeBase64(nonce)
+        });
+
+        return keyPair.publicKey;
+    }
+
+    // 锁定期间把收到的消息封装后放入收件箱（不需要存储密钥）
+    async enqueueInbox(inboxPublicKey, item) {
+        await this.ensureInitialized();
+        const ephemeral = nacl.box.keyPair();
+        const nonce = nacl.randomBytes(nacl.box.nonceLength);
+        const encrypted = nacl.box(
+            nacl.util.decodeUTF8(JSON.stringify(item)),
+            nonce,
+            inboxPublicKey,
+            ephemeral.secretKey
+        );
+        ephemeral.secretKey.fill(0);
+
+        return this.put('inbox', {
+            receivedAt: Date.now(),
+            ephemeralPublicKey: nacl.util.encodeBase64(ephemeral.publicKey),
+            nonce: nacl.util.encodeBase64(nonce),
+            data: nacl.util.encodeBase64(encrypted)
+        });
+    }
+
+    // 解锁后取出并清空收件箱，按接收顺序返回
+    async drainInbox() {
+        await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('存储已锁定');
+        }
+
+        const keyRecord = await this.get('meta', 'inbox-key');
+        if (!keyRecord) {
+            return [];
+        }
+
+        const secretKey = nacl.secretbox.open(
+            nacl.util.decodeBase64(keyRecord.sealedSecretKey),
+            nacl.util.decodeBase64(keyRecord.nonce),
+            this.encryptionKey
+        );
+        if (!secretKey) {
+            throw new Error('收件箱密钥解密失败');
+        }
+
+        const records = await this.getAll('inbox');
+        const items = [];
+        records.sort((a, b) => a.id - b.id).forEach(record => {
+            const decrypted = nacl.box.open(
+                nacl.util.decodeBase64(record.data),
+                nacl.util.decodeBase64(record.nonce),
+                nacl.util.decodeBase64(record.ephemeralPublicKey),
+                secretKey
+            );
+            if (decrypted) {
+                items.push(JSON.parse(nacl.util.encodeUTF8(decrypted)));
+            } else {
+                console.error('收件箱消息解密失败:', record.id);
+            }
+        });
+        secretKey.fill(0);
+
+        await this.clear('inbox');
+        await this.delete('meta', 'inbox-key');
+        return items;
+    }
+
     async saveSelfDestructMessage(messageId, messageData, ttlHours) {
         await this.ensureInitialized();
         const expiresAt = Date.now() + (ttlHours * 60 * 60 * 1000);
@@ -167,154 +524,332 @@ class SecureStorage {
             await this.delete('messages', msg.id);
         }
         
+        const outboxItems = await this.getOutboxItems(contactPeerId);
+        for (const item of outboxItems) {
+            await this.delete('outbox', item.id);
+        }
+        
         await this.delete('contacts', contactPeerId);
+        await this.delete('sessions', contactPeerId);
         
         console.log(`已销毁联系人 ${contactPeerId} 的所有数据`);
     }
 
-    async destroyAllData() {
+    // 导出加密备份：身份、联系人（含固定密钥和验证状态）和消息
+    // 自毁消息和会话状态不导出，恢复后会重新建立会话
+    async exportBackup(passphrase) {
+        await this.ensureInitialized();
+        if (!passphrase || passphrase.length < 8) {
+            throw new Error('备份口令至少需要 8 个字符');
+        }
+
+        const identity = await this.getIdentity();
+        if (!identity) {
+            throw new Error('没有可备份的身份');
+        }
+
+        const now = Date.now();
+        const contacts = (await this.getContacts()).map(contact => ({ ...contact, connected: false }));
+        const messages = (await this.getAll('messages'))
+            .filter(message => !message.isSelfDestruct && !(message.expiresAt && message.expiresAt <= now));
+
+        const { id, ...identityData } = identity;
+        const payload = {
+            version: SecureStorage.BACKUP_VERSION,
+            createdAt: now,
+            identity: identityData,
+            contacts,
+            messages
+        };
+
+        const salt = nacl.randomBytes(16);
+        const params = { ...this.kdfParams };
+        const key = await this.deriveKey(passphrase, salt, params);
+        const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const ciphertext = nacl.secretbox(nacl.util.decodeUTF8(JSON.stringify(payload)), nonce, key);
+        key.fill(0);
+
+        return JSON.stringify({
+            format: 'yhys-backup',
+            version: SecureStorage.BACKUP_VERSION,
+            kdf: { name: 'scrypt', params, salt: nacl.util.encodeBase64(salt) },
+            nonce: nacl.util.encodeBase64(nonce),
+            ciphertext: nacl.util.encodeBase64(ciphertext)
+        });
+    }
+
+    // 解密备份文件内容
+    async openBackup(text, passphrase) {
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            throw new Error('备份文件格式无效');
+        }
+
+        if (!envelope || envelope.format !== 'yhys-backup') {
+            throw new Error('备份文件格式无效');
+        }
+        if (envelope.version > SecureStorage.BACKUP_VERSION) {
+            throw new Error('备份文件版本过新，请先升级应用');
+        }
+
+        const params = envelope.kdf && envelope.kdf.params;
+        if (!params || envelope.kdf.name !== 'scrypt' || !(params.N <= 1 << 20) || !(params.r <= 32) || !(params.p <= 16)) {
+            throw new Error('备份文件的密钥派生参数无效');
+        }
+
+        const key = await this.deriveKey(passphrase, nacl.util.decodeBase64(envelope.kdf.salt), params);
+        const decrypted = nacl.secretbox.open(
+            nacl.util.decodeBase64(envelope.ciphertext),
+            nacl.util.decodeBase64(envelope.nonce),
+            key
+        );
+        key.fill(0);
+
+        if (!decrypted) {
+            throw new Error('备份口令错误或文件已损坏');
+        }
+        return JSON.parse(nacl.util.encodeUTF8(decrypted));
+    }
+
+    // 导入备份并与现有数据合并，返回导入结果和冲突列表
+    async importBackup(text, passphrase) {
+        await this.ensureInitialized();
+        const backup = await this.openBackup(text, passphrase);
+
+        const report = {
+            identity: 'imported',
+            contactsAdded: 0,
+            contactsMerged: 0,
+            messagesAdded: 0,
+            messagesSkipped: 0,
+            conflicts: []
+        };
+
+        // 备份属于另一个身份时不做任何合并
+        const existingIdentity = await this.getIdentity();
+        if (existingIdentity) {
+            if (existingIdentity.peerId !== backup.identity.peerId ||
+                existingIdentity.signPublicKey !== backup.identity.signPublicKey) {
+                throw new Error('备份属于另一个身份，无法合并到当前身份');
+            }
+            report.identity = 'unchanged';
+        } else {
+            await this.saveIdentity(backup.identity);
+        }
+
+        for (const contact of backup.contacts || []) {
+            const existing = await this.getContact(contact.peerId);
+            if (!existing) {
+                await this.saveContact({ ...contact, connected: false });
+                report.contactsAdded++;
+                continue;
+            }
+
+            const conflict = this.mergeBackupContact(existing, contact);
+            if (conflict) {
+                report.conflicts.push({ type: 'contact', peerId: contact.peerId, reason: conflict });
+            } else {
+                report.contactsMerged++;
+            }
+            await this.saveContact(existing);
+        }
+
+        // 按消息 ID 去重，已过期的消息不再导入。旧版消息的 ID 是各设备各自的自增序号，不能用来比较，
+        // 改按联系人、方向、时间和内容去重，导入时重新生成 ID
+        const now = Date.now();
+        const fingerprints = new Set((await this.getAll('messages')).map(message => this.messageFingerprint(message)));
+        for (const message of backup.messages || []) {
+            const fingerprint = this.messageFingerprint(message);
+            const hasStableId = typeof message.id === 'string';
+            const exists = hasStableId ? !!(await this.getMessage(message.id)) : fingerprints.has(fingerprint);
+            if ((message.expiresAt && message.expiresAt <= now) || exists) {
+                report.messagesSkipped++;
+                continue;
+            }
+
+            const { id, ...fields } = message;
+            await this.saveMessage(hasStableId ? message : fields);
+            fingerprints.add(fingerprint);
+            report.messagesAdded++;
+        }
+
+        return report;
+    }
+
+    messageFingerprint(message) {
+        return JSON.stringify([message.contactPeerId, message.direction, message.timestamp, message.content]);
+    }
+
+    // 把备份中的联系人合并到现有记录（直接修改 existing），有冲突时返回冲突原因
+    mergeBackupContact(existing, incoming) {
+        const pinned = existing.pinnedKeys || existing;
+        const incomingPinned = incoming.pinnedKeys || incoming;
+
+        // 固定密钥不同：保留当前设备上的密钥
+        if (pinned.publicKey && incomingPinned.publicKey &&
+            (pinned.publicKey !== incomingPinned.publicKey || pinned.signPublicKey !== incomingPinned.signPublicKey)) {
+            return '固定密钥与本地不一致，已保留本地密钥';
+        }
+
+        if (!pinned.publicKey && incomingPinned.publicKey) {
+            ['did', 'name', 'publicKey', 'signPublicKey', 'pinnedKeys', 'identityVerified'].forEach(field => {
+                if (incoming[field] !== undefined) {
+                    existing[field] = incoming[field];
+                }
+            });
+        }
+        if (!existing.name && incoming.name) {
+            existing.name = incoming.name;
+        }
+
+        // 人工验证只在对应的密钥一致时合并
+        const verification = incoming.manualVerification;
+        if (incoming.manuallyVerified && verification && !existing.manuallyVerified &&
+            verification.publicKey === existing.publicKey && verification.signPublicKey === existing.signPublicKey) {
+            existing.manuallyVerified = true;
+            existing.manualVerification = verification;
+        }
+
+        if (incoming.retention && this.isNewerRetention(incoming.retention, existing.retention)) {
+            existing.retention = incoming.retention;
+        }
+
+        existing.lastSeen = Math.max(existing.lastSeen || 0, incoming.lastSeen || 0);
+        return null;
+    }
+
+    // 保留策略的先后：版本号大的较新；双方同时修改得到相同版本时以签发方 ID 较大的为准。
+    // 两端按同一规则比较，结果与各自的时钟无关（旧版记录没有版本号，视为 0）
+    isNewerRetention(incoming, current) {
+        if (!current) {
+            return true;
+        }
+        const incomingVersion = incoming.version || 0;
+        const currentVersion = current.version || 0;
+        if (incomingVersion !== currentVersion) {
+            return incomingVersion > currentVersion;
+        }
+        return incoming.updatedBy > current.updatedBy;
+    }
+
+    // silent 为 true 时不输出日志（胁迫口令触发的销毁不能留下痕迹）
+    async destroyAllData({ silent = false } = {}) {
         await this.ensureInitialized();
-        const storeNames = ['identity', 'contacts', 'messages', 'selfDestructMessages'];
         
-        console.log('开始销毁所有数据...');
+        if (!silent) {
+            console.log('开始销毁所有数据...');
+        }
         
-        for (const storeName of storeNames) {
+        for (const storeName of this.backend.storeNames()) {
             await this.clear(storeName);
         }
         
-        this.db.close();
-        const deleteRequest = indexedDB.deleteDatabase(this.dbName);
-        
-        return new Promise((resolve, reject) => {
-            deleteRequest.onsuccess = () => {
-                console.log('所有数据已安全销毁');
-                this.db = null;
-                this.initialized = false;
-                this.initPromise = null;
-                resolve();
-            };
-            
-            deleteRequest.onerror = (event) => {
-                console.error('删除数据库失败:', event.target.error);
-                reject(event.target.error);
-            };
-        });
+        await this.backend.destroy();
+        if (!silent) {
+            console.log('所有数据已安全销毁');
+        }
+        this.lock();
+        this.initialized = false;
+        this.initPromise = null;
     }
 
     async put(storeName, data) {
         await this.ensureInitialized();
         
-        return new Promise((resolve, reject) => {
-            try {
-                const transaction = this.db.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const request = store.put(data);
-                
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
-            } catch (error) {
-                reject(new Error(`存储操作失败 (${storeName}): ${error.message}`));
-            }
-        });
+        try {
+            return await this.backend.put(storeName, this.sealRecord(storeName, data));
+        } catch (error) {
+            throw new Error(`存储操作失败 (${storeName}): ${error.message}`);
+        }
     }
 
     async get(storeName, key) {
         await this.ensureInitialized();
         
-        return new Promise((resolve, reject) => {
-            try {
-                const transaction = this.db.transaction([storeName], 'readonly');
-                const store = transaction.objectStore(storeName);
-                const request = store.get(key);
-                
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
-            } catch (error) {
-                reject(new Error(`获取操作失败 (${storeName}): ${error.message}`));
-            }
-        });
+        let record;
+        try {
+            record = await this.backend.get(storeName, key);
+        } catch (error) {
+            throw new Error(`获取操作失败 (${storeName}): ${error.message}`);
+        }
+        return this.openRecord(storeName, record);
     }
 
     async getAll(storeName) {
         await this.ensureInitialized();
         
-        return new Promise((resolve, reject) => {
-            try {
-                const transaction = this.db.transaction([storeName], 'readonly');
-                const store = transaction.objectStore(storeName);
-                const request = store.getAll();
-                
-                request.onsuccess = () => resolve(request.result || []);
-                request.onerror = () => reject(request.error);
-            } catch (error) {
-                reject(new Error(`获取所有操作失败 (${storeName}): ${error.message}`));
-            }
-        });
+        let records;
+        try {
+            records = await this.backend.getAll(storeName);
+        } catch (error) {
+            throw new Error(`获取所有操作失败 (${storeName}): ${error.message}`);
+        }
+        return records.map(record => this.openRecord(storeName, record));
     }
 
     async delete(storeName, key) {
         await this.ensureInitialized();
         
-        return new Promise((resolve, reject) => {
-            try {
-                const transaction = this.db.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const request = store.delete(key);
-                
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            } catch (error) {
-                reject(new Error(`删除操作失败 (${storeName}): ${error.message}`));
-            }
-        });
+        try {
+            await this.backend.delete(storeName, key);
+        } catch (error) {
+            throw new Error(`删除操作失败 (${storeName}): ${error.message}`);
+        }
     }
 
     async clear(storeName) {
         await this.ensureInitialized();
         
-        return new Promise((resolve, reject) => {
-            try {
-                const transaction = this.db.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const request = store.clear();
-                
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            } catch (error) {
-                reject(new Error(`清空操作失败 (${storeName}): ${error.message}`));
-            }
-        });
+        try {
+            await this.backend.clear(storeName);
+        } catch (error) {
+            throw new Error(`清空操作失败 (${storeName}): ${error.message}`);
+        }
     }
 
+    // 删除所有存储中已过期的记录，返回被删除的记录摘要
     async cleanupExpiredMessages() {
         await this.ensureInitialized();
-        const now = Date.now();
-        const store = this.db.transaction(['selfDestructMessages'], 'readwrite')
-                            .objectStore('selfDestructMessages');
-        const index = store.index('expiresAt');
-        
-        return new Promise((resolve) => {
-            const requests = [];
-            index.openCursor(IDBKeyRange.upperBound(now)).onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    requests.push(store.delete(cursor.primaryKey));
-                    cursor.continue();
-                } else {
-                    Promise.all(requests).then(() => {
-                        console.log(`清理了 ${requests.length} 条过期消息`);
-                        resolve();
-                    });
-                }
-            };
-        });
+        const removed = await this.backend.deleteExpired(Date.now());
+        console.log(`清理了 ${removed.length} 条过期记录`);
+        return removed;
+    }
+
+    // 获取最近一条尚未过期记录的过期时间
+    async getNextExpiry() {
+        await this.ensureInitialized();
+        return this.backend.nextExpiry();
     }
 
     getStatus() {
         return {
             initialized: this.initialized,
-            db: !!this.db,
+            db: !!(this.backend && this.backend.isOpen()),
             initInProgress: !!this.initPromise
         };
     }
 }
+
+// 已解锁的存储密钥，按数据库名索引
+SecureStorage.keyring = new Map();
+
+// 备份文件格式版本
+SecureStorage.BACKUP_VERSION = 1;
+
+// 对象存储结构：主键、是否自增和索引字段
+SecureStorage.STORES = {
+    identity: { keyPath: 'id' },
+    contacts: { keyPath: 'peerId' },
+    messages: { keyPath: 'id', autoIncrement: true, indexes: ['contactPeerId', 'timestamp', 'expiresAt'] },
+    selfDestructMessages: { keyPath: 'id', indexes: ['expiresAt'] },
+    sessions: { keyPath: 'peerId' },
+    // 不加密的元数据（口令盐值、KDF 参数、校验值）
+    meta: { keyPath: 'id' },
+    settings: { keyPath: 'id' },
+    // 锁定期间收到的消息，每条单独封装给收件箱公钥
+    inbox: { keyPath: 'id', autoIncrement: true },
+    // 待投递消息（引用 messages 中的消息 ID），收到送达确认后删除
+    outbox: { keyPath: 'id', indexes: ['contactPeerId'] }
+};
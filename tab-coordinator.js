@@ -0,0 +1,330 @@
+// 多标签页协调：同一浏览器中只有领导标签页运行 P2P 网络并写入会话状态，
+// 其他标签页（跟随者）通过 BroadcastChannel 请求领导标签页收发消息。
+// 领导权由 Web Locks 保证唯一：领导标签页关闭后锁被释放，排队中的下一个标签页自动接任
+
+// 跟随者可以请求领导标签页执行的网络方法
+const REMOTE_METHODS = [
+    'acceptKeyChange',
+    'addInviteContact',
+    'applyNetworkSettings',
+    'burnSelfDestructMessage',
+    'connectToPeer',
+    'createInvite',
+    'getSafetyNumber',
+    'loadNetworkSettings',
+    'openSelfDestructMessage',
+    'rejectKeyChange',
+    'respondToDestroyRequest',
+    'retryMessage',
+    'sendDestroyCommand',
+    'sendMessage',
+    'setDestroyPolicy',
+    'setManualVerification',
+    'setRetentionPolicy',
+    'verifyScannedCode'
+];
+
+// 领导标签页锁定期间仍可执行的方法：胁迫口令解锁的标签页需要通过它通知联系人销毁数据
+const PAUSED_METHODS = ['sendDestroyCommand'];
+
+// 所有标签页都会收到的会话事件：lock 一起锁定，wipe 表示本地数据已被某个标签页销毁
+const SESSION_EVENTS = ['lock', 'wipe'];
+
+// 转发给跟随者的网络事件
+const FORWARDED_EVENTS = [
+    'contact-connected',
+    'contact-identity-ready',
+    'contact-key-changed',
+    'contact-status-changed',
+    'contact-verification-changed',
+    'data-destroyed',
+    'destroy-acknowledged',
+    'destroy-refused',
+    'destroy-requested',
+    'invite-mismatch',
+    'message-burned',
+    'message-received',
+    'message-sent',
+    'message-status',
+    'network-settings-changed',
+    'presence-changed',
+    'retention-changed'
+];
+
+export class TabCoordinator {
+    constructor(options = {}) {
+        this.name = options.name || 'yhys-p2p';
+        this.locks = options.locks !== undefined
+            ? options.locks
+            : (typeof navigator !== 'undefined' ? navigator.locks : null);
+        this.tabId = Math.random().toString(36).substr(2, 9);
+        this.channel = null;
+        this.isLeader = false;
+        this.network = null;
+        this.releaseLock = null;
+        this.waitController = null;
+        this.pendingCalls = new Map();
+        this.pendingState = [];
+        this.callCounter = 0;
+        this.callTimeout = 30 * 1000;
+        this.stateTimeout = 5 * 1000;
+        this.eventHandlers = new Map();
+    }
+
+    // 加入协调。立即成为领导时返回 true；否则作为跟随者排队，接任时触发 leader 事件
+    async start() {
+        if (typeof BroadcastChannel === 'undefined' || !this.locks) {
+            // 不支持时每个标签页独立运行，重复打开由连接 ID 冲突检测兜底
+            this.isLeader = true;
+            return true;
+        }
+
+        this.channel = new BroadcastChannel(`${this.name}-tabs`);
+        // Node 中频道不应阻止进程退出
+        if (this.channel.unref) {
+            this.channel.unref();
+        }
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        if (await this.requestLock({ ifAvailable: true })) {
+            return true;
+        }
+
+        this.waitController = new AbortController();
+        this.requestLock({ signal: this.waitController.signal }).then(acquired => {
+            this.waitController = null;
+            if (acquired) {
+                this.becomeLeader();
+            }
+        }).catch(error => {
+            if (error.name !== 'AbortError') {
+                console.error('等待领导权失败:', error);
+            }
+        });
+        return false;
+    }
+
+    // 获得锁后一直持有，直到 stop() 或标签页关闭；ifAvailable 时锁被占用则返回 false
+    requestLock(options) {
+        return new Promise((resolve, reject) => {
+            this.locks.request(`${this.name}-leader`, options, (lock) => {
+                if (!lock) {
+                    resolve(false);
+                    return null;
+                }
+
+                this.isLeader = true;
+                resolve(true);
+                return new Promise(release => {
+                    this.releaseLock = release;
+                });
+            }).catch(reject);
+        });
+    }
+
+    // 原领导标签页关闭后接任，尚未完成的调用不会再有应答
+    becomeLeader() {
+        console.log('已成为领导标签页');
+        this.pendingCalls.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(this.createError('leader-changed', '主标签页已关闭，请重试'));
+        });
+        this.pendingCalls.clear();
+        this.emit('leader');
+    }
+
+    // 领导标签页：为跟随者执行调用，并转发网络事件
+    serve(network) {
+        this.network = network;
+        FORWARDED_EVENTS.forEach(event => {
+            network.on(event, (data) => {
+                if (this.network === network) {
+                    this.post({ type: 'event', event, data });
+                }
+            });
+        });
+        this.postState();
+    }
+
+    postState() {
+        if (!this.isLeader) {
+            return;
+        }
+        this.post({
+            type: 'state',
+            presence: this.network ? Array.from(this.network.presence) : []
+        });
+    }
+
+    handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+
+        if (SESSION_EVENTS.includes(message.type)) {
+            this.emit(message.type);
+            return;
+        }
+
+        if (this.isLeader) {
+            if (message.type === 'hello') {
+                this.postState();
+            } else if (message.type === 'call') {
+                this.handleCall(message);
+            }
+            return;
+        }
+
+        if (message.type === 'result') {
+            this.handleResult(message);
+        } else if (message.type === 'state') {
+            this.pendingState.forEach(resolve => resolve(message));
+            this.pendingState = [];
+            this.emit('state', message);
+        } else if (message.type === 'event') {
+            this.emit('remote-event', message);
+        }
+    }
+
+    async handleCall({ id, method, args }) {
+        try {
+            if (!this.network || !REMOTE_METHODS.includes(method)) {
+                throw new Error(`不支持的调用: ${method}`);
+            }
+            if (this.network.paused && !PAUSED_METHODS.includes(method)) {
+                throw new Error('主标签页已锁定，请先在该标签页中解锁');
+            }
+
+            const result = await this.network[method](...(args || []));
+            this.post({ type: 'result', id, result });
+        } catch (error) {
+            this.post({ type: 'result', id, error: { message: error.message, type: error.type } });
+        }
+    }
+
+    handleResult({ id, result, error }) {
+        const call = this.pendingCalls.get(id);
+        if (!call) {
+            return;
+        }
+
+        clearTimeout(call.timer);
+        this.pendingCalls.delete(id);
+        if (error) {
+            call.reject(this.createError(error.type, error.message));
+        } else {
+            call.resolve(result);
+        }
+    }
+
+    // 跟随者：请求领导标签页执行网络方法
+    call(method, args = []) {
+        if (!this.channel || this.isLeader) {
+            return Promise.reject(new Error('未连接到主标签页'));
+        }
+
+        const id = `${this.tabId}:${++this.callCounter}`;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingCalls.delete(id);
+                reject(this.createError('timeout', '主标签页无响应'));
+            }, this.callTimeout);
+
+            this.pendingCalls.set(id, { resolve, reject, timer });
+            this.post({ type: 'call', id, method, args });
+        });
+    }
+
+    // 跟随者：向领导标签页请求当前状态（在线状态等）
+    requestState() {
+        if (!this.channel || this.isLeader) {
+            return Promise.reject(new Error('未连接到主标签页'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingState = this.pendingState.filter(item => item !== done);
+                reject(this.createError('timeout', '主标签页无响应'));
+            }, this.stateTimeout);
+
+            const done = (state) => {
+                clearTimeout(timer);
+                resolve(state);
+            };
+            this.pendingState.push(done);
+            this.post({ type: 'hello' });
+        });
+    }
+
+    // 通知其他标签页锁定或数据已销毁（本标签页不会收到自己发出的事件）
+    broadcast(event) {
+        if (!SESSION_EVENTS.includes(event)) {
+            throw new Error(`不支持的标签页事件: ${event}`);
+        }
+        this.post({ type: event });
+    }
+
+    post(message) {
+        if (!this.channel) {
+            return;
+        }
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            console.error('标签页消息发送失败:', error);
+            if (message.type === 'result' && !message.error) {
+                this.post({ type: 'result', id: message.id, error: { message: `无法传递结果: ${error.message}` } });
+            }
+        }
+    }
+
+    // 退出协调：释放领导权或放弃排队，关闭频道
+    stop() {
+        if (this.waitController) {
+            this.waitController.abort();
+            this.waitController = null;
+        }
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.pendingCalls.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(this.createError('stopped', '已停止与其他标签页的协调'));
+        });
+        this.pendingCalls.clear();
+        this.isLeader = false;
+        this.network = null;
+    }
+
+    createError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}
+
+TabCoordinator.REMOTE_METHODS = REMOTE_METHODS;
@@ -0,0 +1,90 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness, PASSPHRASE } from './harness.js';
+import { SecureStorage } from '../storage.js';
+
+const BACKUP_PASSPHRASE = 'backup-passphrase';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+// 与 harness 节点使用相同的低 scrypt 参数
+async function emptyStorage(name) {
+    const storage = new SecureStorage({ dbName: `backup-${name}-${Date.now()}` });
+    storage.kdfParams = alice.storage.kdfParams;
+    await storage.setupPassphrase(PASSPHRASE);
+    return storage;
+}
+
+// 旧版消息没有自带 ID，主键为自增序号
+function saveLegacyMessage(storage, content, timestamp) {
+    return storage.put('messages', { contactPeerId: bob.peerId, content, direction: 'sent', timestamp });
+}
+
+function summarize(messages) {
+    return messages.map(message => `${message.direction}:${message.content}`).sort();
+}
+
+test('导出再导入到空存储后身份、联系人和消息完整恢复', async () => {
+    await alice.network.sendMessage(bob.peerId, '第一条');
+    await bob.network.sendMessage(alice.peerId, '回复');
+    await alice.network.setRetentionPolicy(bob.peerId, 24);
+    await harness.waitFor(async () => (await alice.storage.getMessages(bob.peerId)).length === 3);
+
+    const original = await alice.storage.getMessages(bob.peerId);
+    assert.ok(original.every(message => typeof message.id === 'string'));
+
+    const restored = await emptyStorage('restore');
+    const report = await restored.importBackup(await alice.storage.exportBackup(BACKUP_PASSPHRASE), BACKUP_PASSPHRASE);
+
+    assert.equal(report.identity, 'imported');
+    assert.equal(report.contactsAdded, 1);
+    assert.equal(report.messagesAdded, 3);
+    assert.equal((await restored.getIdentity()).peerId, alice.peerId);
+    assert.ok((await restored.getContact(bob.peerId)).identityVerified);
+    assert.deepEqual(
+        (await restored.getMessages(bob.peerId)).map(message => message.id).sort(),
+        original.map(message => message.id).sort()
+    );
+});
+
+test('合并时跳过已有消息，序号相同的旧版消息不会互相覆盖', async () => {
+    await alice.network.sendMessage(bob.peerId, '新版消息');
+    await saveLegacyMessage(alice.storage, '旧版消息 A', 1000);
+
+    // 另一台设备上的同一身份：自己的旧版消息占用了相同的序号
+    const other = await harness.createNode('alice-other', { identity: alice.identity });
+    await saveLegacyMessage(other.storage, '旧版消息 B', 2000);
+    const legacy = (await other.storage.getMessages(bob.peerId))[0];
+    assert.equal(typeof legacy.id, 'number');
+
+    const backup = await alice.storage.exportBackup(BACKUP_PASSPHRASE);
+    const report = await other.storage.importBackup(backup, BACKUP_PASSPHRASE);
+    assert.equal(report.identity, 'unchanged');
+    assert.equal(report.messagesAdded, 2);
+    assert.deepEqual(summarize(await other.storage.getMessages(bob.peerId)),
+        ['sent:新版消息', 'sent:旧版消息 A', 'sent:旧版消息 B']);
+
+    // 再次导入同一备份不会产生重复
+    const again = await other.storage.importBackup(backup, BACKUP_PASSPHRASE);
+    assert.equal(again.messagesAdded, 0);
+    assert.equal(again.messagesSkipped, 2);
+    assert.equal((await other.storage.getMessages(bob.peerId)).length, 3);
+});
+
+test('备份属于另一个身份时拒绝合并', async () => {
+    const backup = await bob.storage.exportBackup(BACKUP_PASSPHRASE);
+    await assert.rejects(alice.storage.importBackup(backup, BACKUP_PASSPHRASE), /另一个身份/);
+});
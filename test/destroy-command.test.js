@@ -0,0 +1,291 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+
+    const message = await alice.network.sendMessage(bob.peerId, '稍后销毁');
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered');
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+// 等待 bob 处理完 alice 发来的下一条销毁命令
+function commandHandled() {
+    return harness.waitForHandled(bob, 'destroy-command');
+}
+
+test('自动同意时清除对方保存的联系人和聊天记录并回送确认', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+
+    const destroyed = harness.waitForEvent(bob, 'data-destroyed');
+    const acknowledged = harness.waitForEvent(alice, 'destroy-acknowledged');
+    assert.equal(await alice.network.sendDestroyCommand(bob.peerId), true);
+    assert.equal(await destroyed, alice.peerId);
+    assert.equal((await acknowledged).result, 'destroyed');
+
+    assert.equal(await bob.storage.getContact(alice.peerId), undefined);
+    assert.deepEqual(await bob.storage.getMessages(alice.peerId), []);
+});
+
+test('销毁命令只影响发出命令的联系人', async () => {
+    const carol = await harness.addNode('carol');
+    await harness.pair(carol, bob);
+    await carol.network.sendMessage(bob.peerId, '保留');
+    await harness.waitFor(async () => (await bob.storage.getMessages(carol.peerId)).length === 1);
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+
+    const destroyed = harness.waitForEvent(bob, 'data-destroyed');
+    await alice.network.sendDestroyCommand(bob.peerId);
+    await destroyed;
+
+    assert.ok(await bob.storage.getContact(carol.peerId));
+    assert.equal((await bob.storage.getMessages(carol.peerId)).length, 1);
+});
+
+test('默认询问用户，拒绝后数据保留并通知对方', async () => {
+    const requested = harness.waitForEvent(bob, 'destroy-requested');
+    const acknowledged = harness.waitForEvent(alice, 'destroy-acknowledged');
+    await alice.network.sendDestroyCommand(bob.peerId);
+
+    const { contact, nonce } = await requested;
+    assert.equal(contact.peerId, alice.peerId);
+    await bob.network.respondToDestroyRequest(nonce, false);
+
+    assert.equal((await acknowledged).result, 'declined');
+    assert.equal((await bob.storage.getMessages(alice.peerId)).length, 1);
+    await assert.rejects(bob.network.respondToDestroyRequest(nonce, true), /不存在或已处理/);
+});
+
+test('用户同意后执行销毁', async () => {
+    const requested = harness.waitForEvent(bob, 'destroy-requested');
+    const acknowledged = harness.waitForEvent(alice, 'destroy-acknowledged');
+    await alice.network.sendDestroyCommand(bob.peerId);
+
+    await bob.network.respondToDestroyRequest((await requested).nonce, true);
+    assert.equal((await acknowledged).result, 'destroyed');
+    assert.equal(await bob.storage.getContact(alice.peerId), undefined);
+});
+
+test('策略为拒绝时不销毁并回送拒绝结果', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'refuse');
+
+    const acknowledged = harness.waitForEvent(alice, 'destroy-acknowledged');
+    await alice.network.sendDestroyCommand(bob.peerId);
+
+    assert.equal((await acknowledged).result, 'refused');
+    assert.ok(await bob.storage.getContact(alice.peerId));
+    assert.equal((await bob.storage.getMessages(alice.peerId)).length, 1);
+});
+
+test('未签名、签名被篡改或目标不符的销毁命令被忽略', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    let destroyed = false;
+    bob.network.on('data-destroyed', () => {
+        destroyed = true;
+    });
+
+    const handled = commandHandled();
+    alice.network.send(bob.peerId, {
+        type: 'destroy-command',
+        issuer: alice.peerId,
+        target: bob.peerId,
+        timestamp: Date.now(),
+        scope: 'all'
+    });
+    await handled;
+
+    for (const tamper of [data => { data.timestamp += 1; }, data => { data.target = alice.peerId; }]) {
+        const unsubscribe = harness.intercept(({ data }) => {
+            if (data.type === 'destroy-command') {
+                tamper(data);
+            }
+        });
+        const tampered = commandHandled();
+        await alice.network.sendDestroyCommand(bob.peerId);
+        await tampered;
+        unsubscribe();
+    }
+
+    assert.equal(destroyed, false);
+    assert.equal((await bob.storage.getMessages(alice.peerId)).length, 1);
+});
+
+test('重放或过期的销毁命令被忽略', async () => {
+    let captured = null;
+    harness.intercept(({ data }) => {
+        if (data.type === 'destroy-command') {
+            captured = { ...data };
+        }
+    });
+
+    const requested = harness.waitForEvent(bob, 'destroy-requested');
+    await alice.network.sendDestroyCommand(bob.peerId);
+    await bob.network.respondToDestroyRequest((await requested).nonce, false);
+
+    let requests = 0;
+    bob.network.on('destroy-requested', () => {
+        requests++;
+    });
+
+    const replayed = commandHandled();
+    alice.network.send(bob.peerId, captured);
+    await replayed;
+    assert.equal(requests, 0);
+
+    // 超出时间窗口的命令即使签名有效也不处理
+    bob.network.destroyCommandWindow = 1000;
+    const payload = alice.network.buildDestroyPayload(alice.peerId, bob.peerId, 'stale-nonce', Date.now() - 60 * 1000);
+    const stale = commandHandled();
+    alice.network.send(bob.peerId, { ...payload, signature: alice.network.crypto.signMessage(JSON.stringify(payload)) });
+    await stale;
+    assert.equal(requests, 0);
+});
+
+test('同时到达的同一条销毁命令只处理一次', async () => {
+    let captured = null;
+    const unsubscribe = harness.intercept(({ data }) => {
+        if (data.type === 'destroy-command') {
+            captured = { ...data };
+            return 'drop';
+        }
+        return null;
+    });
+    await alice.network.sendDestroyCommand(bob.peerId);
+    unsubscribe();
+
+    let requests = 0;
+    bob.network.on('destroy-requested', () => {
+        requests++;
+    });
+
+    const handled = harness.waitForHandled(bob, 'destroy-command', { count: 2 });
+    alice.network.send(bob.peerId, captured);
+    alice.network.send(bob.peerId, { ...captured });
+    await handled;
+
+    assert.equal(requests, 1);
+});
+
+test('伪造的销毁确认被忽略', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    harness.intercept(({ data }) => {
+        if (data.type === 'destroy-ack') {
+            data.result = 'refused';
+        }
+    });
+
+    let acknowledged = false;
+    alice.network.on('destroy-acknowledged', () => {
+        acknowledged = true;
+    });
+    const handled = harness.waitForHandled(alice, 'destroy-ack');
+    await alice.network.sendDestroyCommand(bob.peerId);
+    await handled;
+
+    assert.equal(acknowledged, false);
+    assert.equal(alice.network.pendingDestroyCommands.size, 1);
+});
+
+test('锁定后用胁迫口令解锁，仍能向联系人发送有效的销毁命令', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    await alice.storage.setDuressPassphrase('duress-passphrase', true);
+
+    await alice.network.session.lock();
+    const result = await alice.storage.unlock('duress-passphrase');
+    assert.deepEqual(result, { duress: true, notifyContacts: true });
+    assert.ok(alice.storage.isLocked());
+
+    const destroyed = harness.waitForEvent(bob, 'data-destroyed');
+    assert.equal(await alice.network.sendDestroyCommand(bob.peerId), true);
+    assert.equal(await destroyed, alice.peerId);
+    assert.ok(harness.framesOfType('destroy-command')[0].data.delegation);
+});
+
+test('销毁授权只保留联系人 ID，向所有联系人发出命令后擦除', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    await alice.network.session.lock();
+
+    const kit = alice.network.duressKit;
+    assert.deepEqual([...kit.peerIds], [bob.peerId]);
+    assert.deepEqual(Object.keys(kit).sort(), ['delegation', 'peerIds', 'secretKey']);
+    const secretKey = kit.secretKey;
+
+    const destroyed = harness.waitForEvent(bob, 'data-destroyed');
+    assert.equal(await alice.network.sendDestroyCommand(bob.peerId), true);
+    await destroyed;
+
+    assert.equal(alice.network.duressKit, null);
+    assert.ok(secretKey.every(byte => byte === 0));
+    await assert.rejects(alice.network.sendDestroyCommand(bob.peerId), /网络已锁定/);
+});
+
+test('过期或有效期过长的销毁授权被忽略', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    let destroyed = 0;
+    bob.network.on('data-destroyed', () => {
+        destroyed++;
+    });
+
+    // 由 alice 的身份密钥签发授权，时间范围由测试指定
+    const delegated = nacl.sign.keyPair();
+    const sign = (payload, secretKey) => nacl.util.encodeBase64(
+        nacl.sign.detached(nacl.util.decodeUTF8(JSON.stringify(payload)), secretKey)
+    );
+    const sendDelegated = (timestamp, expiresAt, nonce) => {
+        const delegation = alice.network.buildDestroyDelegationPayload(
+            alice.peerId, nacl.util.encodeBase64(delegated.publicKey), timestamp, expiresAt
+        );
+        const payload = alice.network.buildDestroyPayload(alice.peerId, bob.peerId, nonce, Date.now());
+        alice.network.send(bob.peerId, {
+            ...payload,
+            delegation: { ...delegation, signature: alice.network.crypto.signMessage(JSON.stringify(delegation)) },
+            signature: sign(payload, delegated.secretKey)
+        });
+    };
+
+    const hour = 60 * 60 * 1000;
+    const rejected = harness.waitForHandled(bob, 'destroy-command', { count: 2 });
+    sendDelegated(Date.now() - 2 * hour, Date.now() - hour, 'expired-nonce');
+    sendDelegated(Date.now(), Date.now() + alice.network.duressKitLifetime + hour, 'too-long-nonce');
+    await rejected;
+    assert.equal(destroyed, 0);
+
+    const accepted = harness.waitForEvent(bob, 'data-destroyed');
+    sendDelegated(Date.now() - hour, Date.now() + hour, 'valid-nonce');
+    await accepted;
+    assert.equal(destroyed, 1);
+});
+
+test('不是由联系人身份密钥签发的销毁授权被忽略', async () => {
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    let destroyed = false;
+    bob.network.on('data-destroyed', () => {
+        destroyed = true;
+    });
+
+    // 攻击者自己生成临时密钥并自行签发授权
+    const forger = nacl.sign.keyPair();
+    const sign = (payload) => nacl.util.encodeBase64(nacl.sign.detached(nacl.util.decodeUTF8(JSON.stringify(payload)), forger.secretKey));
+    const delegation = alice.network.buildDestroyDelegationPayload(
+        alice.peerId, nacl.util.encodeBase64(forger.publicKey), Date.now(), Date.now() + 60 * 1000
+    );
+    const payload = alice.network.buildDestroyPayload(alice.peerId, bob.peerId, 'forged-nonce', Date.now());
+
+    const handled = commandHandled();
+    alice.network.send(bob.peerId, { ...payload, delegation: { ...delegation, signature: sign(delegation) }, signature: sign(payload) });
+    await handled;
+
+    assert.equal(destroyed, false);
+    assert.equal((await bob.storage.getMessages(alice.peerId)).length, 1);
+});
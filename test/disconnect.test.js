@@ -0,0 +1,55 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+test('身份交换中途断开后自动重连并完成配对', async () => {
+    let interrupted = false;
+    harness.intercept(({ data }) => {
+        if (!interrupted && data.type === 'identity-ack') {
+            interrupted = true;
+            return 'disconnect';
+        }
+        return null;
+    });
+
+    await alice.network.connectToPeer(bob.peerId).catch(() => {});
+    await harness.waitFor(() => interrupted);
+    await harness.waitFor(() => harness.isPaired(alice, bob), { timeout: 5000 });
+
+    assert.ok(harness.framesOfType('identity').length >= 2);
+});
+
+test('消息发送时连接断开，重连后从发件箱重发', async () => {
+    await harness.pair(alice, bob);
+
+    let interrupted = false;
+    harness.intercept(({ data }) => {
+        if (!interrupted && data.type === 'message') {
+            interrupted = true;
+            return 'disconnect';
+        }
+        return null;
+    });
+
+    const message = await alice.network.sendMessage(bob.peerId, '第一次发送失败');
+    await harness.waitFor(() => interrupted);
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered',
+        { timeout: 5000 });
+
+    const received = await bob.storage.getMessages(alice.peerId);
+    assert.deepEqual(received.map(item => item.content), ['第一次发送失败']);
+});
@@ -0,0 +1,157 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+import { CryptoManager } from '../crypto.js';
+
+let harness;
+
+beforeEach(() => {
+    harness = new Harness();
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+test('双方交换并固定对方的身份密钥', async () => {
+    const alice = await harness.addNode('alice');
+    const bob = await harness.addNode('bob');
+
+    await harness.pair(alice, bob);
+
+    const bobAtAlice = await alice.storage.getContact(bob.peerId);
+    const aliceAtBob = await bob.storage.getContact(alice.peerId);
+    assert.equal(bobAtAlice.publicKey, bob.network.currentIdentity.publicKey);
+    assert.equal(bobAtAlice.signPublicKey, bob.network.currentIdentity.signPublicKey);
+    assert.equal(bobAtAlice.did, bob.network.currentIdentity.did);
+    assert.equal(aliceAtBob.publicKey, alice.network.currentIdentity.publicKey);
+    assert.equal(bobAtAlice.pinnedKeys.publicKey, bob.network.currentIdentity.publicKey);
+    assert.equal(bobAtAlice.pinnedKeys.signPublicKey, bob.network.currentIdentity.signPublicKey);
+
+    assert.ok(harness.framesOfType('identity').some(frame => frame.from === alice.peerId));
+    assert.ok(harness.framesOfType('identity').some(frame => frame.from === bob.peerId));
+    await harness.waitFor(() => harness.framesOfType('identity-ack').length > 0);
+});
+
+test('三个节点两两配对', async () => {
+    const nodes = await Promise.all(['alice', 'bob', 'carol'].map(name => harness.addNode(name)));
+
+    await harness.pair(nodes[0], nodes[1]);
+    await harness.pair(nodes[0], nodes[2]);
+    await harness.pair(nodes[1], nodes[2]);
+
+    for (const node of nodes) {
+        const contacts = await node.storage.getContacts();
+        assert.equal(contacts.filter(contact => contact.identityVerified).length, 2, node.name);
+    }
+});
+
+test('拒绝与 peerId 不绑定的身份', async () => {
+    const alice = await harness.addNode('alice');
+    const bob = await harness.addNode('bob');
+    const mallory = await harness.addNode('mallory');
+
+    // bob 发出的身份信息被换成 mallory 的密钥（签名仍然有效，但与 bob 的 peerId 不绑定）
+    harness.intercept(({ from, data }) => {
+        if (from === bob.peerId && data.type === 'identity') {
+            const forged = mallory.network.buildIdentityPayload(
+                { ...mallory.network.currentIdentity, peerId: bob.peerId, prekey: data.prekey },
+                data.timestamp
+            );
+            Object.assign(data, forged, { signature: mallory.network.signIdentity(forged) });
+        }
+    });
+
+    const handled = harness.waitForHandled(alice, 'identity');
+    await alice.network.connectToPeer(bob.peerId);
+    await handled;
+
+    const contact = await alice.storage.getContact(bob.peerId);
+    assert.ok(!contact || !contact.identityVerified);
+    assert.ok(!contact || contact.publicKey !== mallory.network.currentIdentity.publicKey);
+});
+
+test('配对后立即修改的联系人设置不会被仍在处理的身份消息覆盖', async () => {
+    const alice = await harness.addNode('alice');
+    const bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+
+    await Promise.all([
+        bob.network.setDestroyPolicy(alice.peerId, 'accept'),
+        bob.network.setManualVerification(alice.peerId, true)
+    ]);
+
+    // 等 bob 处理完已收到的全部身份和确认消息
+    const handshakeTypes = ['identity', 'identity-ack'];
+    await harness.waitFor(() => bob.handled.filter(type => handshakeTypes.includes(type)).length >=
+        harness.traffic.filter(frame => frame.to === bob.peerId && handshakeTypes.includes(frame.data.type)).length);
+
+    const contact = await bob.storage.getContact(alice.peerId);
+    assert.equal(contact.destroyPolicy, 'accept');
+    assert.equal(contact.manuallyVerified, true);
+});
+
+// 旧版身份：PeerJS ID 由加密公钥推导
+async function addLegacyNode(name) {
+    const crypto = new CryptoManager();
+    const identity = crypto.generateIdentity();
+    identity.peerId = crypto.generateLegacyPeerId(nacl.util.decodeBase64(identity.publicKey));
+    return harness.addNode(name, { identity });
+}
+
+async function pinContact(node, other) {
+    const { publicKey, signPublicKey, did } = other.network.currentIdentity;
+    await node.storage.saveContact({
+        peerId: other.peerId,
+        did,
+        publicKey,
+        signPublicKey,
+        pinnedKeys: { publicKey, signPublicKey, pinnedAt: Date.now() },
+        identityVerified: true
+    });
+}
+
+test('旧版 ID 只在签名公钥与已固定的一致时通过验证', async () => {
+    const alice = await harness.addNode('alice');
+    const bob = await addLegacyNode('bob');
+
+    // 没有固定过 bob 的密钥，旧版 ID 无法证明签名公钥和 DID 属于 bob
+    const handled = harness.waitForHandled(alice, 'identity');
+    await bob.network.connectToPeer(alice.peerId);
+    await handled;
+    assert.equal(await alice.storage.getContact(bob.peerId), undefined);
+    await assert.rejects(bob.network.createInvite('Bob'), /旧版 ID/);
+    bob.network.closeConnection(alice.peerId);
+
+    await pinContact(alice, bob);
+    await harness.pair(bob, alice);
+});
+
+test('旧版 ID 的联系人出示其他签名公钥时被拒绝', async () => {
+    const alice = await harness.addNode('alice');
+    const bob = await addLegacyNode('bob');
+    const mallory = await harness.addNode('mallory');
+    await pinContact(alice, bob);
+
+    // 只知道 bob 的加密公钥，换上自己的签名密钥和 DID
+    harness.intercept(({ from, data }) => {
+        if (from === bob.peerId && data.type === 'identity') {
+            const forged = mallory.network.buildIdentityPayload({
+                ...bob.network.currentIdentity,
+                did: mallory.network.currentIdentity.did,
+                signPublicKey: mallory.network.currentIdentity.signPublicKey,
+                prekey: data.prekey
+            }, data.timestamp);
+            Object.assign(data, forged, { signature: mallory.network.signIdentity(forged) });
+        }
+    });
+
+    const handled = harness.waitForHandled(alice, 'identity');
+    await bob.network.connectToPeer(alice.peerId);
+    await handled;
+
+    const contact = await alice.storage.getContact(bob.peerId);
+    assert.equal(contact.signPublicKey, bob.network.currentIdentity.signPublicKey);
+    assert.equal(contact.pendingKeyChange, undefined);
+    assert.equal(contact.connected, undefined);
+});
@@ -0,0 +1,237 @@
+// 进程内多节点测试工具：多个 P2PNetwork 实例通过假的 PeerJS Peer 互相连接，数据保存在 fake-indexeddb 中，
+// 不需要浏览器、WebRTC 或公共 PeerJS 服务器。网络层使用默认的 PeerJSTransport，只替换全局的 Peer
+import 'fake-indexeddb/auto';
+import '../sdk/globals.js';
+import { CryptoManager } from '../crypto.js';
+import { SecureStorage } from '../storage.js';
+import { P2PNetwork } from '../p2p.js';
+import { MemoryTransport } from '../memory-transport.js';
+
+export const PASSPHRASE = 'harness-passphrase';
+
+// 网络层日志很多，默认不输出；设置 HARNESS_VERBOSE=1 查看
+if (!process.env.HARNESS_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+// 测试中使用较低的 scrypt 参数
+const FAST_KDF = { N: 1024, r: 8, p: 1 };
+
+let instanceCount = 0;
+
+// 假的 PeerJS Peer：对外接口与 PeerJS 相同，底层用 MemoryTransport 在同一进程内转发，
+// 经过的每一帧都交给 harness 记录并决定是否丢弃或断开
+class FakePeer {
+    constructor(harness, id) {
+        this.harness = harness;
+        this.id = id;
+        this.eventHandlers = new Map();
+        this.transport = new MemoryTransport({ hub: harness.hub });
+
+        ['open', 'disconnected', 'error'].forEach(event => {
+            this.transport.on(event, data => this.emit(event, data));
+        });
+        this.transport.on('connection', conn => this.emit('connection', this.wrapConnection(conn)));
+        this.transport.listen(id);
+    }
+
+    get disconnected() {
+        return this.transport.disconnected;
+    }
+
+    get destroyed() {
+        return this.transport.destroyed;
+    }
+
+    connect(peerId) {
+        return this.wrapConnection(this.transport.connect(peerId));
+    }
+
+    wrapConnection(conn) {
+        const send = conn.send.bind(conn);
+        conn.send = (data) => {
+            const action = this.harness.inspect(this.id, conn.peer, data);
+            if (action === 'drop') {
+                return;
+            }
+            if (action === 'disconnect') {
+                conn.close();
+                return;
+            }
+            send(data);
+        };
+        return conn;
+    }
+
+    reconnect() {
+        this.transport.reconnect();
+    }
+
+    // 模拟网络中断：关闭所有连接并与信令服务器断开
+    disconnect() {
+        this.transport.disconnect();
+    }
+
+    destroy() {
+        this.transport.destroy();
+    }
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        (this.eventHandlers.get(event) || []).forEach(handler => handler(data));
+    }
+}
+
+export class Harness {
+    constructor() {
+        this.hub = new Map();
+        this.nodes = [];
+        this.traffic = [];
+        this.interceptors = [];
+
+        const harness = this;
+        this.Peer = class extends FakePeer {
+            constructor(id) {
+                super(harness, id);
+            }
+        };
+    }
+
+    // 创建一个已设置口令、已保存身份但尚未初始化网络的节点；不传 identity 时生成新身份，
+    // 不传 createTransport 时通过假的 PeerJS Peer 连接
+    async createNode(name, { identity, createTransport } = {}) {
+        globalThis.Peer = this.Peer;
+
+        const storage = new SecureStorage({ dbName: `harness-${name}-${++instanceCount}` });
+        storage.kdfParams = FAST_KDF;
+        await storage.setupPassphrase(PASSPHRASE);
+
+        identity = identity || new CryptoManager().generateIdentity();
+        await storage.saveIdentity(identity);
+
+        const network = new P2PNetwork({ storage, createTransport });
+        // 重连退避缩短到毫秒级，断线场景不必等待
+        network.reconnectBaseDelay = 20;
+
+        const node = { name, network, storage, identity, peerId: identity.peerId, handled: [] };
+        this.trackHandled(node);
+        this.nodes.push(node);
+        return node;
+    }
+
+    // 记录节点处理完的每条消息的类型（处理函数返回之后，无论是否接受），
+    // 断言"某条消息没有产生效果"时据此等待，而不是固定等待一段时间
+    trackHandled(node) {
+        const handleMessage = node.network.handleMessage.bind(node.network);
+        node.network.handleMessage = async (peerId, data) => {
+            try {
+                await handleMessage(peerId, data);
+            } finally {
+                node.handled.push(data && data.type);
+            }
+        };
+    }
+
+    // 创建节点并完成网络初始化
+    async addNode(name, options) {
+        const node = await this.createNode(name, options);
+        await node.network.init(node.identity);
+        return node;
+    }
+
+    // 拦截器收到 { from, to, data }，返回 'drop' 丢弃该帧，返回 'disconnect' 在发送前断开连接；
+    // 返回值为取消拦截的函数
+    intercept(interceptor) {
+        this.interceptors.push(interceptor);
+        return () => {
+            this.interceptors = this.interceptors.filter(item => item !== interceptor);
+        };
+    }
+
+    inspect(from, to, data) {
+        const frame = { from, to, data };
+        this.traffic.push(frame);
+        for (const interceptor of this.interceptors) {
+            const action = interceptor(frame);
+            if (action) {
+                return action;
+            }
+        }
+        return null;
+    }
+
+    // 某类型的帧（不含心跳）
+    framesOfType(type) {
+        return this.traffic.filter(frame => frame.data && frame.data.type === type);
+    }
+
+    // 轮询直到条件成立，超时则抛出错误
+    async waitFor(predicate, { timeout = 3000, message = '等待条件超时' } = {}) {
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            if (await predicate()) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(message);
+    }
+
+    // 等待节点再处理完 count 条该类型的消息；需在触发发送之前调用
+    waitForHandled(node, type, { count = 1, timeout = 3000 } = {}) {
+        const handledCount = () => node.handled.filter(item => item === type).length;
+        const target = handledCount() + count;
+        return this.waitFor(() => handledCount() >= target, { timeout, message: `等待 ${node.name} 处理 ${type} 超时` });
+    }
+
+    // 等待节点触发某个事件
+    waitForEvent(node, event, { timeout = 3000, filter = () => true } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`等待事件超时: ${event}`)), timeout);
+            node.network.on(event, (data) => {
+                if (filter(data)) {
+                    clearTimeout(timer);
+                    resolve(data);
+                }
+            });
+        });
+    }
+
+    // 模拟节点断网，之后可调用 goOnline 恢复
+    goOffline(node) {
+        node.network.transport.peer.disconnect();
+    }
+
+    goOnline(node) {
+        node.network.transport.reconnect();
+    }
+
+    // 双方都已保存并验证对方的身份
+    async isPaired(a, b) {
+        const [contactOfB, contactOfA] = await Promise.all([
+            a.storage.getContact(b.peerId),
+            b.storage.getContact(a.peerId)
+        ]);
+        return !!(contactOfB && contactOfB.identityVerified && contactOfA && contactOfA.identityVerified);
+    }
+
+    // a 主动连接 b，等待身份交换完成
+    async pair(a, b) {
+        await a.network.connectToPeer(b.peerId);
+        await this.waitFor(() => this.isPaired(a, b), { message: `${a.name} 与 ${b.name} 身份交换超时` });
+    }
+
+    async teardown() {
+        this.nodes.forEach(node => node.network.destroy());
+        this.nodes = [];
+        delete globalThis.Peer;
+    }
+}
@@ -0,0 +1,88 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+import { MemoryTransport } from '../memory-transport.js';
+
+let harness;
+
+beforeEach(() => {
+    harness = new Harness();
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+test('同一身份已在另一个实例中在线时报告 identity-in-use，不更换身份', async () => {
+    const first = await harness.addNode('first');
+    const second = await harness.createNode('second', { identity: first.identity });
+
+    await assert.rejects(second.network.init(second.identity), error => error.type === 'identity-in-use');
+    assert.equal(second.network.initialized, false);
+    assert.equal(second.network.transport, null);
+    assert.equal((await second.storage.getIdentity()).peerId, first.peerId);
+    assert.equal(first.network.initialized, true);
+});
+
+test('确认接管后另一个实例释放连接 ID', async () => {
+    const first = await harness.addNode('first');
+    const second = await harness.createNode('second', { identity: first.identity });
+    await assert.rejects(second.network.init(second.identity));
+
+    const takenOver = harness.waitForEvent(first, 'identity-taken-over');
+    await second.network.takeOverIdentity(second.identity);
+
+    assert.equal(await takenOver, first.peerId);
+    assert.equal(first.network.initialized, false);
+    assert.equal(second.network.initialized, true);
+
+    // 接管后的实例可以正常通信
+    const alice = await harness.addNode('alice');
+    await harness.pair(alice, second);
+});
+
+test('ID 被其他人占用时按退避重试，对方释放后使用原身份上线', async () => {
+    const node = await harness.createNode('node');
+    const squatter = new MemoryTransport({ hub: harness.hub });
+    squatter.listen(node.peerId);
+
+    const retries = [];
+    node.network.on('network-retry', data => {
+        retries.push(data);
+        if (retries.length === 2) {
+            squatter.destroy();
+        }
+    });
+
+    assert.equal(await node.network.init(node.identity), node.peerId);
+    assert.deepEqual(retries.map(retry => retry.attempt), [1, 2]);
+    assert.ok(retries[1].delay > retries[0].delay);
+    assert.equal((await node.storage.getIdentity()).peerId, node.peerId);
+});
+
+test('重试次数用完后报告 unavailable-id，身份保持不变', async () => {
+    const node = await harness.createNode('node');
+    node.network.unavailableIdRetries = 2;
+    const squatter = new MemoryTransport({ hub: harness.hub });
+    squatter.listen(node.peerId);
+
+    await assert.rejects(node.network.init(node.identity), error => error.type === 'unavailable-id');
+    assert.equal((await node.storage.getIdentity()).peerId, node.peerId);
+    squatter.destroy();
+});
+
+test('网络暂时不可用时返回可重试的错误', async () => {
+    const node = await harness.createNode('node');
+    node.network.createTransport = () => {
+        const transport = new MemoryTransport({ hub: harness.hub });
+        transport.listen = () => {
+            setTimeout(() => transport.emit('error', transport.createError('network', '无法连接信令服务器')), 0);
+        };
+        return transport;
+    };
+
+    const error = await node.network.init(node.identity).catch(error => error);
+    assert.equal(error.type, 'network');
+    assert.equal(node.network.isTransientError(error), true);
+    assert.equal(node.network.transport, null);
+});
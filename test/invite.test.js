@@ -0,0 +1,43 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+test('通过邀请添加联系人后完成配对，令牌只能使用一次', async () => {
+    const invite = bob.network.parseInvite(await alice.network.createInvite('Alice'));
+    await bob.network.addInviteContact(invite);
+    await bob.network.connectToPeer(alice.peerId);
+    await harness.waitFor(() => harness.isPaired(alice, bob));
+
+    const issued = await alice.storage.getSetting('issued-invites');
+    assert.equal(issued[invite.token].redeemedBy, bob.peerId);
+    assert.equal(await alice.network.redeemInvite(invite.token, 'someone-else'), false);
+});
+
+test('同时兑现同一个邀请时只有一方成功', async () => {
+    const { token } = bob.network.parseInvite(await alice.network.createInvite('Alice'));
+
+    const results = await Promise.all([
+        alice.network.redeemInvite(token, 'peer-a'),
+        alice.network.redeemInvite(token, 'peer-b'),
+        alice.network.createInvite('Alice')
+    ]);
+
+    assert.deepEqual(results.slice(0, 2).filter(Boolean), [true]);
+    const issued = await alice.storage.getSetting('issued-invites');
+    assert.equal(Object.keys(issued).length, 2);
+    assert.ok(['peer-a', 'peer-b'].includes(issued[token].redeemedBy));
+});
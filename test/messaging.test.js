@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+async function contents(node, peerId, direction) {
+    const messages = await node.storage.getMessages(peerId);
+    return messages.filter(message => message.direction === direction).map(message => message.content);
+}
+
+test('双向加密收发，线路上不出现明文', async () => {
+    await alice.network.sendMessage(bob.peerId, '你好 Bob');
+    await harness.waitFor(async () => (await contents(bob, alice.peerId, 'received')).length === 1);
+
+    await bob.network.sendMessage(alice.peerId, '你好 Alice');
+    await alice.network.sendMessage(bob.peerId, '第二条');
+    await harness.waitFor(async () => (await contents(alice, bob.peerId, 'received')).length === 1 &&
+        (await contents(bob, alice.peerId, 'received')).length === 2);
+
+    assert.deepEqual(await contents(bob, alice.peerId, 'received'), ['你好 Bob', '第二条']);
+    assert.deepEqual(await contents(alice, bob.peerId, 'received'), ['你好 Alice']);
+
+    const wire = JSON.stringify(harness.framesOfType('message'));
+    assert.ok(!wire.includes('你好'));
+    assert.ok(!wire.includes('第二条'));
+});
+
+test('送达确认后发送方状态为 delivered', async () => {
+    const message = await alice.network.sendMessage(bob.peerId, '需要确认');
+
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered');
+    assert.deepEqual(await alice.storage.getOutboxItems(bob.peerId), []);
+});
+
+test('被篡改的密文不会被接受', async () => {
+    harness.intercept(({ data }) => {
+        if (data.type === 'message') {
+            const bytes = Buffer.from(data.encrypted, 'base64');
+            bytes[0] ^= 0xff;
+            data.encrypted = bytes.toString('base64');
+        }
+    });
+
+    const handled = harness.waitForHandled(bob, 'message');
+    const message = await alice.network.sendMessage(bob.peerId, '会被篡改');
+    await handled;
+
+    assert.deepEqual(await contents(bob, alice.peerId, 'received'), []);
+    assert.notEqual((await alice.storage.getMessage(message.id)).status, 'delivered');
+});
+
+test('对方离线时消息留在发件箱，重新连接后送达', async () => {
+    harness.goOffline(bob);
+    await harness.waitFor(() => alice.network.getPresence(bob.peerId).status !== 'online');
+
+    const message = await alice.network.sendMessage(bob.peerId, '离线消息');
+    assert.equal((await alice.storage.getOutboxItems(bob.peerId)).length, 1);
+
+    harness.goOnline(bob);
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered');
+    assert.deepEqual(await contents(bob, alice.peerId, 'received'), ['离线消息']);
+});
+
+test('连续发送的多条消息全部送达', async () => {
+    const texts = ['一', '二', '三', '四', '五'];
+    // 第一条消息的投递过程读取发件箱后，其余消息才陆续排队
+    const sending = [];
+    for (const text of texts) {
+        sending.push(alice.network.sendMessage(bob.peerId, text));
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    const messages = await Promise.all(sending);
+
+    await harness.waitFor(async () => {
+        const statuses = await Promise.all(messages.map(async message => (await alice.storage.getMessage(message.id)).status));
+        return statuses.every(status => status === 'delivered');
+    }, { message: '部分消息未送达' });
+    // 同一毫秒内发出的消息时间戳相同，接收方的排列顺序不固定
+    assert.deepEqual((await contents(bob, alice.peerId, 'received')).sort(), [...texts].sort());
+});
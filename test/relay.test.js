@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { Harness } from './harness.js';
+import { RelayTransport } from '../relay-transport.js';
+import { createRelay } from '../tools/relay-server.js';
+
+let harness;
+let server;
+let wss;
+let clients;
+let relayed;
+let alice;
+let bob;
+
+// 在随机端口上启动中继，记录经过中继的每一帧
+function startRelay() {
+    return new Promise(resolve => {
+        server = http.createServer();
+        wss = new WebSocketServer({ server });
+        relayed = [];
+        wss.on('connection', socket => {
+            socket.on('message', raw => relayed.push(raw.toString()));
+        });
+        clients = createRelay(wss);
+        server.listen(0, '127.0.0.1', () => resolve(`ws://127.0.0.1:${server.address().port}/`));
+    });
+}
+
+beforeEach(async () => {
+    harness = new Harness();
+    const url = await startRelay();
+    const createTransport = () => new RelayTransport({ url });
+    alice = await harness.addNode('alice', { createTransport });
+    bob = await harness.addNode('bob', { createTransport });
+});
+
+afterEach(async () => {
+    await harness.teardown();
+    wss.clients.forEach(socket => socket.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+});
+
+async function contents(node, peerId, direction) {
+    const messages = await node.storage.getMessages(peerId);
+    return messages.filter(message => message.direction === direction).map(message => message.content);
+}
+
+test('通过中继完成身份交换', async () => {
+    assert.ok(clients.has(alice.peerId));
+    assert.ok(clients.has(bob.peerId));
+
+    await harness.pair(alice, bob);
+    assert.ok(relayed.some(frame => frame.includes('"connect"')));
+});
+
+test('通过中继双向加密收发，中继看不到明文', async () => {
+    await harness.pair(alice, bob);
+
+    const message = await alice.network.sendMessage(bob.peerId, '经过中继');
+    await bob.network.sendMessage(alice.peerId, '中继回复');
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered' &&
+        (await contents(alice, bob.peerId, 'received')).length === 1);
+
+    assert.deepEqual(await contents(bob, alice.peerId, 'received'), ['经过中继']);
+    assert.deepEqual(await contents(alice, bob.peerId, 'received'), ['中继回复']);
+    assert.ok(!relayed.some(frame => frame.includes('经过中继') || frame.includes('中继回复')));
+});
+
+test('与中继断开后重新注册，离线期间的消息随后送达', async () => {
+    await harness.pair(alice, bob);
+
+    // 关闭 bob 与中继之间的连接
+    wss.clients.forEach(socket => {
+        if (socket.peerId === bob.peerId) {
+            socket.terminate();
+        }
+    });
+    await harness.waitFor(() => alice.network.getPresence(bob.peerId).status !== 'online');
+
+    const message = await alice.network.sendMessage(bob.peerId, '离线时发出');
+    await harness.waitFor(async () => (await alice.storage.getMessage(message.id)).status === 'delivered',
+        { timeout: 8000, message: '重新连接后消息未送达' });
+    assert.deepEqual(await contents(bob, alice.peerId, 'received'), ['离线时发出']);
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+async function retentionOf(node, peerId) {
+    return (await node.storage.getContact(peerId)).retention;
+}
+
+// 双方保存的是同一版本、同一签发方的策略
+async function agreed() {
+    const [atAlice, atBob] = await Promise.all([retentionOf(alice, bob.peerId), retentionOf(bob, alice.peerId)]);
+    return !!(atAlice && atBob && atAlice.version === atBob.version &&
+        atAlice.updatedBy === atBob.updatedBy && atAlice.ttlHours === atBob.ttlHours);
+}
+
+test('修改保留策略后双方使用同一版本', async () => {
+    assert.equal((await alice.network.setRetentionPolicy(bob.peerId, 24)).version, 1);
+    await harness.waitFor(agreed);
+
+    await bob.network.setRetentionPolicy(alice.peerId, null);
+    await harness.waitFor(async () => (await retentionOf(alice, bob.peerId)).version === 2);
+    assert.ok(await agreed());
+    assert.equal((await retentionOf(alice, bob.peerId)).ttlHours, null);
+});
+
+test('时钟不一致时，之后的修改仍在双方生效', async () => {
+    // alice 的时钟快一小时，她设置的策略时间戳比 bob 之后的修改更晚
+    const now = Date.now;
+    Date.now = () => now() + 60 * 60 * 1000;
+    try {
+        await alice.network.setRetentionPolicy(bob.peerId, 24);
+    } finally {
+        Date.now = now;
+    }
+    await harness.waitFor(agreed);
+
+    await bob.network.setRetentionPolicy(alice.peerId, 48);
+    await harness.waitFor(async () => (await retentionOf(alice, bob.peerId)).ttlHours === 48);
+    assert.ok(await agreed());
+});
+
+test('双方同时修改时按同一规则选出一致的策略', async () => {
+    const results = await Promise.allSettled([
+        alice.network.setRetentionPolicy(bob.peerId, 24),
+        bob.network.setRetentionPolicy(alice.peerId, 48)
+    ]);
+    await harness.waitFor(agreed);
+
+    const winner = alice.peerId > bob.peerId ? alice : bob;
+    const retention = await retentionOf(alice, bob.peerId);
+    assert.equal(retention.updatedBy, winner.peerId);
+    assert.equal(retention.ttlHours, winner === alice ? 24 : 48);
+    assert.ok(results.some(result => result.status === 'fulfilled'));
+});
+
+test('保留时间无效或缺少版本号的策略被忽略', async () => {
+    const invalid = [
+        { ttlHours: -1, version: 1 },
+        { ttlHours: 0, version: 1 },
+        { ttlHours: '24', version: 1 },
+        { ttlHours: 24, version: 0 },
+        { ttlHours: 24, version: undefined }
+    ];
+
+    const handled = harness.waitForHandled(bob, 'retention-policy', { count: invalid.length });
+    invalid.forEach(({ ttlHours, version }) => {
+        const payload = alice.network.buildRetentionPayload(ttlHours, version, alice.peerId, Date.now());
+        alice.network.sendRetentionPolicy(bob.peerId, payload);
+    });
+    await handled;
+
+    assert.equal(await retentionOf(bob, alice.peerId), undefined);
+    await assert.rejects(alice.network.setRetentionPolicy(bob.peerId, Infinity), /无效的保留时间/);
+});
@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { Harness, PASSPHRASE } from './harness.js';
+import { createNode, memoryTransport, FileBackend } from '../sdk/index.js';
+
+const kdfParams = { N: 1024, r: 8, p: 1 };
+
+let harness;
+let dir;
+let hub;
+let nodes;
+
+beforeEach(async () => {
+    harness = new Harness();
+    dir = await mkdtemp(path.join(tmpdir(), 'yhys-sdk-'));
+    hub = new Map();
+    nodes = [];
+});
+
+afterEach(async () => {
+    nodes.forEach(node => node.network.destroy());
+    await rm(dir, { recursive: true, force: true });
+});
+
+async function open(options = {}) {
+    const node = await createNode({ passphrase: PASSPHRASE, kdfParams, transport: memoryTransport(hub), ...options });
+    nodes.push(node);
+    return node;
+}
+
+// 模拟进程退出：停止网络，等待文件写完，并清除进程内保存的存储密钥
+async function close(node) {
+    node.network.destroy();
+    nodes = nodes.filter(item => item !== node);
+    await node.storage.backend.writing;
+    node.storage.lock();
+}
+
+test('创建的节点已上线，可以互相配对收发消息', async () => {
+    const alice = await open();
+    const bob = await open();
+    assert.equal(alice.mnemonic.split(' ').length, 12);
+    assert.equal(alice.session.state, 'online');
+    assert.equal(alice.session.network, alice.network);
+
+    await alice.network.connectToPeer(bob.identity.peerId);
+    await harness.waitFor(async () => {
+        const contact = await alice.storage.getContact(bob.identity.peerId);
+        return contact && contact.identityVerified;
+    });
+
+    await alice.network.sendMessage(bob.identity.peerId, '来自 SDK');
+    await harness.waitFor(async () => (await bob.storage.getMessages(alice.identity.peerId)).length === 1);
+    assert.equal((await bob.storage.getMessages(alice.identity.peerId))[0].content, '来自 SDK');
+});
+
+test('文件存储重新打开后用同一口令解锁，身份和数据保持不变', async () => {
+    const file = path.join(dir, 'node.json');
+    const first = await open({ storage: file });
+    assert.ok(first.storage.backend instanceof FileBackend);
+    await first.storage.saveSetting('bot', { greeting: '你好' });
+    await close(first);
+
+    // 文件中只有主键和索引字段是明文
+    const raw = await readFile(file, 'utf8');
+    assert.ok(!raw.includes(first.identity.privateKey));
+    assert.ok(!raw.includes('你好'));
+
+    await assert.rejects(open({ storage: file, passphrase: 'wrong-passphrase' }), /口令错误/);
+
+    const reopened = await open({ storage: file });
+    assert.equal(reopened.identity.peerId, first.identity.peerId);
+    assert.equal(reopened.mnemonic, null);
+    assert.deepEqual(await reopened.storage.getSetting('bot'), { greeting: '你好' });
+});
+
+test('用助记词在新存储中恢复同一身份', async () => {
+    const original = await open({ storage: path.join(dir, 'original.json') });
+    await close(original);
+
+    const restored = await open({ storage: path.join(dir, 'restored.json'), mnemonic: original.mnemonic });
+    assert.equal(restored.identity.peerId, original.identity.peerId);
+    assert.equal(restored.mnemonic, null);
+});
+
+test('缺少口令时拒绝创建节点', async () => {
+    await assert.rejects(createNode({ transport: memoryTransport(hub) }), /需要提供存储口令/);
+});
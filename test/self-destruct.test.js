@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+async function receivedSelfDestruct() {
+    const messages = await bob.storage.getMessages(alice.peerId);
+    return messages.find(message => message.isSelfDestruct && message.direction === 'received');
+}
+
+test('自毁消息打开前只保存封装的密文', async () => {
+    assert.equal(await alice.network.sendMessage(bob.peerId, '阅后即焚', true, 1), true);
+    await harness.waitFor(receivedSelfDestruct);
+
+    const stored = await receivedSelfDestruct();
+    assert.equal(stored.content, '自毁消息 (点击解密)');
+    assert.ok(stored.selfDestructData.sealedKey);
+    assert.ok(!JSON.stringify(harness.framesOfType('self-destruct-message')).includes('阅后即焚'));
+
+    // 发送方本地不保留密钥
+    const sent = await alice.storage.get('selfDestructMessages', stored.id);
+    assert.ok(sent && !sent.messageData.sealedKey);
+
+    const opened = await bob.network.openSelfDestructMessage(stored.id);
+    assert.equal(opened.content, '阅后即焚');
+    assert.ok(opened.burnAt <= Date.now() + 60 * 60 * 1000);
+});
+
+test('设定查看时间时从打开开始倒计时', async () => {
+    await alice.network.sendMessage(bob.peerId, '十秒后销毁', true, 24, 10);
+    await harness.waitFor(receivedSelfDestruct);
+
+    const before = Date.now();
+    const { burnAt } = await bob.network.openSelfDestructMessage((await receivedSelfDestruct()).id);
+    assert.ok(burnAt >= before + 10 * 1000 && burnAt <= Date.now() + 10 * 1000);
+});
+
+test('接收方销毁后发送方收到签名的销毁通知', async () => {
+    await alice.network.sendMessage(bob.peerId, '读完就删', true, 1);
+    await harness.waitFor(receivedSelfDestruct);
+    const { id } = await receivedSelfDestruct();
+
+    await bob.network.openSelfDestructMessage(id);
+    const burned = harness.waitForEvent(alice, 'message-burned');
+    assert.equal(await bob.network.burnSelfDestructMessage(id), true);
+    await burned;
+
+    assert.equal(await bob.storage.getMessage(id), undefined);
+    await assert.rejects(bob.network.openSelfDestructMessage(id), /不存在或已销毁/);
+    assert.equal((await alice.storage.getMessage(id)).content, '自毁消息 (对方已阅读并销毁)');
+});
+
+test('伪造的销毁通知被忽略', async () => {
+    await alice.network.sendMessage(bob.peerId, '不能被伪造销毁', true, 1);
+    await harness.waitFor(receivedSelfDestruct);
+    const { id } = await receivedSelfDestruct();
+
+    harness.intercept(({ data }) => {
+        if (data.type === 'self-destruct-burned') {
+            data.timestamp += 1;
+        }
+    });
+    const handled = harness.waitForHandled(alice, 'self-destruct-burned');
+    await bob.network.burnSelfDestructMessage(id);
+    await handled;
+
+    assert.equal((await alice.storage.getMessage(id)).content, '自毁消息 (已发送)');
+});
+
+test('自毁消息不能覆盖已有消息，缺少 ID 或时间无效时被拒绝', async () => {
+    const own = await bob.network.sendMessage(alice.peerId, '我发出的消息');
+    await harness.waitFor(async () => (await bob.storage.getMessage(own.id)).status === 'delivered');
+
+    const forged = {
+        type: 'self-destruct-message',
+        encrypted: 'AA==',
+        nonce: 'AA==',
+        sealedKey: 'AA==',
+        ttlHours: 1,
+        viewSeconds: 0,
+        timestamp: Date.now()
+    };
+    const invalid = [
+        { ...forged, messageId: own.id },
+        { ...forged, messageId: undefined },
+        { ...forged, messageId: 'sd_negative_ttl', ttlHours: -1 },
+        { ...forged, messageId: 'sd_text_ttl', ttlHours: '24' },
+        { ...forged, messageId: 'sd_nan_view', viewSeconds: NaN },
+        { ...forged, messageId: 'sd_negative_view', viewSeconds: -5 }
+    ];
+
+    const handled = harness.waitForHandled(bob, 'self-destruct-message', { count: invalid.length });
+    invalid.forEach(data => alice.network.send(bob.peerId, data));
+    await handled;
+
+    const stored = await bob.storage.getMessage(own.id);
+    assert.equal(stored.content, '我发出的消息');
+    assert.equal(stored.direction, 'sent');
+    assert.equal(await receivedSelfDestruct(), undefined);
+    await assert.rejects(alice.network.sendMessage(bob.peerId, '无效时间', true, 0), /无效的自毁时间/);
+});
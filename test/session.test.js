@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness, PASSPHRASE } from './harness.js';
+
+let harness;
+let alice;
+let bob;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.createNode('alice');
+    bob = await harness.addNode('bob');
+});
+
+afterEach(async () => {
+    await harness.teardown();
+});
+
+function recordStates(node) {
+    const states = [];
+    node.network.session.on('state-changed', ({ state }) => states.push(state));
+    return states;
+}
+
+test('网络层与会话共用同一个身份、CryptoManager 和 SecureStorage', async () => {
+    const session = alice.network.session;
+    assert.equal(session.network, alice.network);
+    assert.equal(session.storage, alice.storage);
+    assert.equal(alice.network.crypto, session.crypto);
+    assert.equal(session.state, 'locked');
+
+    await alice.network.init(alice.identity);
+
+    assert.equal(session.state, 'online');
+    assert.equal(session.identity, alice.network.currentIdentity);
+    assert.equal(session.crypto.getCurrentUser(), session.identity);
+});
+
+test('断网和恢复时会话在 offline 与 online 之间切换', async () => {
+    const states = recordStates(alice);
+    await alice.network.init(alice.identity);
+    await harness.pair(alice, bob);
+
+    harness.goOffline(alice);
+    await harness.waitFor(() => alice.network.session.state === 'offline');
+
+    harness.goOnline(alice);
+    await harness.waitFor(() => alice.network.session.state === 'online');
+
+    assert.deepEqual(states, ['unlocked', 'online', 'offline', 'online']);
+});
+
+test('锁定后擦除密钥，断线不改变状态，解锁并恢复后重新上线', async () => {
+    await alice.network.init(alice.identity);
+    const session = alice.network.session;
+
+    await session.lock();
+    assert.equal(session.state, 'locked');
+    assert.equal(session.identity, null);
+    assert.equal(session.crypto.getCurrentUser(), null);
+    assert.ok(alice.network.paused);
+
+    // 网络层先注册监听，这里收到断开事件时它已处理完毕
+    const disconnected = new Promise(resolve => alice.network.transport.on('disconnected', resolve));
+    harness.goOffline(alice);
+    await disconnected;
+    assert.equal(session.state, 'locked');
+
+    await alice.storage.unlock(PASSPHRASE);
+    session.markUnlocked();
+    await session.activate(await alice.storage.getIdentity());
+    harness.goOnline(alice);
+    await alice.network.resume();
+
+    await harness.waitFor(() => session.state === 'online');
+    assert.equal(alice.network.currentIdentity.peerId, alice.peerId);
+});
+
+test('销毁后会话进入 destroyed 状态并删除所有数据', async () => {
+    await alice.network.init(alice.identity);
+    const session = alice.network.session;
+
+    await session.destroy({ silent: true });
+
+    assert.equal(session.state, 'destroyed');
+    assert.equal(session.identity, null);
+    assert.ok(!alice.network.initialized);
+    assert.ok(!(await alice.storage.hasPassphrase()));
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSPHRASE } from './harness.js';
+import { SecureStorage } from '../storage.js';
+import { MemoryBackend } from '../memory-backend.js';
+
+let storageCount = 0;
+
+function createStorage() {
+    const storage = new SecureStorage({ backend: new MemoryBackend(), dbName: `storage-test-${++storageCount}` });
+    storage.kdfParams = { N: 1024, r: 8, p: 1 };
+    return storage;
+}
+
+test('设置口令时加密旧版的明文记录，之后可正常读取', async () => {
+    const storage = createStorage();
+    await storage.init();
+    await storage.backend.put('contacts', { peerId: 'legacy-peer', name: '旧联系人', publicKey: 'key' });
+
+    await storage.setupPassphrase(PASSPHRASE);
+
+    const raw = await storage.backend.get('contacts', 'legacy-peer');
+    assert.ok(raw.sealed);
+    assert.equal(raw.name, undefined);
+    assert.equal((await storage.getContact('legacy-peer')).name, '旧联系人');
+});
+
+test('设置口令后直接写入的明文记录不被信任', async () => {
+    const storage = createStorage();
+    await storage.setupPassphrase(PASSPHRASE);
+    await storage.saveContact({ peerId: 'real-peer', name: '真实联系人', publicKey: 'key' });
+
+    // 插入新记录，或把已加密的记录降级为明文
+    await storage.backend.put('contacts', { peerId: 'forged-peer', name: '伪造', publicKey: 'attacker' });
+    await storage.backend.put('messages', { id: 'forged-message', contactPeerId: 'real-peer', content: '伪造', direction: 'received', timestamp: 1 });
+    await assert.rejects(storage.getContact('forged-peer'), /记录未加密/);
+    await assert.rejects(storage.getMessages('real-peer'), /记录未加密/);
+
+    await storage.backend.put('contacts', { peerId: 'real-peer', name: '真实联系人', publicKey: 'attacker' });
+    await assert.rejects(storage.getContact('real-peer'), /记录未加密/);
+});
+
+test('修改口令后记录仍可读取，明文记录仍被拒绝', async () => {
+    const storage = createStorage();
+    await storage.setupPassphrase(PASSPHRASE);
+    await storage.saveContact({ peerId: 'real-peer', name: '真实联系人' });
+
+    await storage.changePassphrase(PASSPHRASE, 'new-passphrase');
+    assert.equal((await storage.getContact('real-peer')).name, '真实联系人');
+
+    await storage.backend.put('contacts', { peerId: 'forged-peer', name: '伪造' });
+    await assert.rejects(storage.getContact('forged-peer'), /记录未加密/);
+});
@@ -0,0 +1,207 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Harness } from './harness.js';
+import { TabCoordinator } from '../tab-coordinator.js';
+import { NetworkProxy } from '../network-proxy.js';
+import { Session } from '../session.js';
+
+// Node 没有 Web Locks，用按名称排队的最小实现代替
+class FakeLocks {
+    constructor() {
+        this.held = new Set();
+        this.queues = new Map();
+    }
+
+    request(name, options, callback) {
+        return new Promise((resolve, reject) => {
+            const grant = () => {
+                this.held.add(name);
+                Promise.resolve(callback({ name })).then(result => {
+                    this.held.delete(name);
+                    resolve(result);
+                    const next = (this.queues.get(name) || []).shift();
+                    if (next) {
+                        next.grant();
+                    }
+                }, reject);
+            };
+
+            if (!this.held.has(name)) {
+                grant();
+            } else if (options.ifAvailable) {
+                Promise.resolve(callback(null)).then(resolve, reject);
+            } else {
+                const waiter = { grant };
+                if (!this.queues.has(name)) {
+                    this.queues.set(name, []);
+                }
+                this.queues.get(name).push(waiter);
+                if (options.signal) {
+                    options.signal.addEventListener('abort', () => {
+                        this.queues.set(name, this.queues.get(name).filter(item => item !== waiter));
+                        reject(new DOMException('已取消', 'AbortError'));
+                    });
+                }
+            }
+        });
+    }
+}
+
+let harness;
+let alice;
+let bob;
+let tabs;
+let channelCount = 0;
+
+beforeEach(async () => {
+    harness = new Harness();
+    alice = await harness.addNode('alice');
+    bob = await harness.addNode('bob');
+    await harness.pair(alice, bob);
+    tabs = [];
+});
+
+afterEach(async () => {
+    tabs.forEach(tab => tab.stop());
+    await harness.teardown();
+});
+
+// 同一“浏览器”中的多个标签页共享锁和频道名
+function openTabs(count) {
+    const locks = new FakeLocks();
+    const name = `harness-tabs-${++channelCount}`;
+    for (let i = 0; i < count; i++) {
+        tabs.push(new TabCoordinator({ name, locks }));
+    }
+    return tabs;
+}
+
+test('第一个标签页成为领导者，其余为跟随者', async () => {
+    const [first, second] = openTabs(2);
+    assert.equal(await first.start(), true);
+    assert.equal(await second.start(), false);
+    assert.equal(second.isLeader, false);
+});
+
+test('跟随者通过领导标签页收发消息', async () => {
+    const [leader, follower] = openTabs(2);
+    await leader.start();
+    await follower.start();
+    leader.serve(alice.network);
+
+    const proxy = new NetworkProxy(follower, new Session());
+    await proxy.init(alice.identity);
+    assert.equal(proxy.getPresence(bob.peerId).status, 'online');
+
+    const sent = new Promise(resolve => proxy.on('message-sent', resolve));
+    const message = await proxy.sendMessage(bob.peerId, '来自第二个标签页');
+    assert.equal(message.content, '来自第二个标签页');
+    assert.equal((await sent).message.id, message.id);
+    await harness.waitFor(async () => (await bob.storage.getMessages(alice.peerId)).length === 1);
+
+    const received = new Promise(resolve => proxy.on('message-received', resolve));
+    await bob.network.sendMessage(alice.peerId, '回复');
+    assert.equal((await received).message.content, '回复');
+});
+
+test('领导标签页只执行允许的方法，调用错误返回给跟随者', async () => {
+    const [leader, follower] = openTabs(2);
+    await leader.start();
+    await follower.start();
+    leader.serve(alice.network);
+
+    await assert.rejects(follower.call('destroy'), /不支持的调用/);
+    await assert.rejects(follower.call('sendMessage', ['unknown-peer', '你好']), /联系人公钥不存在/);
+
+    await alice.network.pause();
+    await assert.rejects(follower.call('sendMessage', [bob.peerId, '你好']), /主标签页已锁定/);
+});
+
+test('领导标签页关闭后排队的标签页接任', async () => {
+    const [leader, follower, third] = openTabs(3);
+    await leader.start();
+    await follower.start();
+    await third.start();
+
+    const promoted = new Promise(resolve => follower.on('leader', resolve));
+    leader.stop();
+    await promoted;
+
+    assert.equal(follower.isLeader, true);
+    assert.equal(third.isLeader, false);
+});
+
+test('跟随者锁定期间不向界面传递事件', async () => {
+    const [leader, follower] = openTabs(2);
+    await leader.start();
+    await follower.start();
+    leader.serve(alice.network);
+
+    const proxy = new NetworkProxy(follower, new Session());
+    await proxy.init(alice.identity);
+    const events = [];
+    proxy.on('message-received', data => events.push(data));
+
+    // 代理先注册监听，这里收到事件时代理已决定是否转发
+    const forwarded = new Promise(resolve => follower.on('remote-event', ({ event }) => {
+        if (event === 'message-received') {
+            resolve();
+        }
+    }));
+
+    await proxy.pause();
+    await bob.network.sendMessage(alice.peerId, '锁定期间');
+    await forwarded;
+    assert.deepEqual(events, []);
+});
+
+test('锁定和数据销毁通知到所有标签页，领导标签页暂停或停止网络', async () => {
+    const [leader, follower, third] = openTabs(3);
+    await leader.start();
+    await follower.start();
+    await third.start();
+    leader.serve(alice.network);
+
+    const session = alice.network.session;
+    leader.on('lock', () => session.lock());
+    leader.on('wipe', () => session.terminate());
+    const heardByThird = [];
+    ['lock', 'wipe'].forEach(event => third.on(event, () => heardByThird.push(event)));
+
+    follower.broadcast('lock');
+    await harness.waitFor(() => alice.network.paused);
+    assert.equal(session.state, 'locked');
+    assert.equal(alice.network.currentIdentity, null);
+
+    follower.broadcast('wipe');
+    await harness.waitFor(() => session.state === 'destroyed');
+    assert.ok(!alice.network.initialized);
+    assert.ok(alice.storage.isLocked());
+    assert.deepEqual(heardByThird, ['lock', 'wipe']);
+    assert.throws(() => follower.broadcast('destroy'), /不支持的标签页事件/);
+});
+
+// 跟随者用胁迫口令解锁时，需要由已锁定的领导标签页通知联系人
+test('领导标签页锁定期间仍为跟随者发送销毁命令，其他调用被拒绝', async () => {
+    const [leader, follower] = openTabs(2);
+    await leader.start();
+    await follower.start();
+    leader.serve(alice.network);
+    await bob.network.setDestroyPolicy(alice.peerId, 'accept');
+    await alice.network.session.lock();
+
+    await assert.rejects(follower.call('sendMessage', [bob.peerId, '你好']), /主标签页已锁定/);
+    const destroyed = harness.waitForEvent(bob, 'data-destroyed');
+    assert.equal(await follower.call('sendDestroyCommand', [bob.peerId]), true);
+    assert.equal(await destroyed, alice.peerId);
+});
+
+test('停止协调时未完成的调用被拒绝', async () => {
+    const [leader, follower] = openTabs(2);
+    await leader.start();
+    await follower.start();
+
+    const pending = follower.call('sendMessage', [bob.peerId, '你好']);
+    follower.stop();
+    await assert.rejects(pending, (error) => error.type === 'stopped');
+});
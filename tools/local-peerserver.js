@@ -0,0 +1,76 @@
+// 本地信令服务器：同一个进程提供聊天页面和 PeerJS 信令，适用于没有外网的局域网。
+//
+// 用法（需要 Node.js，并在仓库根目录执行过 npm install）：
+//   node tools/local-peerserver.js [--port 9000] [--host 0.0.0.0] [--relay-port 9001]
+//
+// 然后在局域网内的浏览器打开 http://<本机IP>:9000/ ，在“网络设置”中选择“局域网”配置。
+// 同时会在 --relay-port（默认为端口 + 1，0 表示不启动）上启动 WebSocket 中继，供 WebRTC 被阻止时使用“局域网中继”配置。
+// 页面依赖的第三方脚本在 vendor/ 中，不需要访问外网。
+// 浏览器只在 HTTPS 或 localhost 下提供 crypto.subtle，局域网内其他设备访问时需要配置 TLS 证书（--cert / --key）。
+
+import fs from 'node:fs';
+import path from 'node:path';
+import http from 'node:http';
+import https from 'node:https';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import { ExpressPeerServer } from 'peer';
+import { startRelay } from './relay-server.js';
+
+function parseArgs(argv) {
+    const options = { port: 9000, host: '0.0.0.0', cert: null, key: null, 'relay-port': null };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`未知参数: ${argv[i]}`);
+        }
+        options[name] = argv[++i];
+    }
+    options.port = parseInt(options.port);
+    if (!(options.port > 0 && options.port < 65536)) {
+        throw new Error('端口无效');
+    }
+    options['relay-port'] = options['relay-port'] === null ? options.port + 1 : parseInt(options['relay-port']);
+    if (!(options['relay-port'] >= 0 && options['relay-port'] < 65536)) {
+        throw new Error('中继端口无效');
+    }
+    if (Boolean(options.cert) !== Boolean(options.key)) {
+        throw new Error('--cert 和 --key 需要同时提供');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const app = express();
+
+    const server = options.cert
+        ? https.createServer({ cert: fs.readFileSync(options.cert), key: fs.readFileSync(options.key) }, app)
+        : http.createServer(app);
+
+    // 路径与 P2PNetwork 的 lan 配置一致
+    const peerServer = ExpressPeerServer(server, { path: '/', allow_discovery: false });
+    peerServer.on('connection', client => console.log('客户端已连接:', client.getId()));
+    peerServer.on('disconnect', client => console.log('客户端已断开:', client.getId()));
+
+    app.use('/peerjs', peerServer);
+    app.use(['/tools', '/node_modules'], (req, res) => res.status(404).end());
+    app.use(express.static(root, { dotfiles: 'deny' }));
+
+    server.listen(options.port, options.host, () => {
+        const protocol = options.cert ? 'https' : 'http';
+        console.log(`本地信令服务器已启动: ${protocol}://${options.host}:${options.port}/ （信令路径 /peerjs）`);
+    });
+
+    if (options['relay-port']) {
+        startRelay({ port: options['relay-port'], host: options.host, cert: options.cert, key: options.key });
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('启动失败:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,177 @@
+// WebSocket 中继服务器：在 WebRTC 不可用时转发客户端之间的数据（配合 relay-transport.js）。
+//
+// 用法（需要 Node.js，并在仓库根目录执行过 npm install）：
+//   node tools/relay-server.js [--port 9001] [--host 0.0.0.0] [--cert cert.pem --key key.pem]
+//
+// 中继只转发数据，不保存任何内容；消息在客户端之间端到端加密，中继只能看到收发双方的 ID。
+// 注册时的 ID 不做身份验证，冒充者最多能阻止对方上线，无法通过签名握手。
+
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const MAX_WATCH = 1000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export function createRelay(wss) {
+    const clients = new Map();
+
+    function send(socket, frame) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(frame));
+        }
+    }
+
+    function notifyPresence(peerId, online) {
+        clients.forEach(client => {
+            if (client.watching.has(peerId)) {
+                send(client, { type: 'presence', id: peerId, online });
+            }
+        });
+    }
+
+    function handleFrame(socket, frame) {
+        if (frame.type === 'register') {
+            if (socket.peerId || typeof frame.id !== 'string' || !ID_PATTERN.test(frame.id)) {
+                send(socket, { type: 'error', errorType: 'invalid-id', message: 'ID 无效' });
+                return;
+            }
+            if (clients.has(frame.id)) {
+                send(socket, { type: 'error', errorType: 'unavailable-id', message: `ID 已被占用: ${frame.id}` });
+                return;
+            }
+            socket.peerId = frame.id;
+            clients.set(frame.id, socket);
+            send(socket, { type: 'registered', id: frame.id });
+            notifyPresence(frame.id, true);
+            return;
+        }
+
+        // 其余消息都需要先注册，发送方 ID 一律以注册时的为准
+        if (!socket.peerId) {
+            return;
+        }
+
+        if (frame.type === 'watch') {
+            const ids = Array.isArray(frame.ids) ? frame.ids.slice(0, MAX_WATCH) : [];
+            socket.watching = new Set(ids.filter(id => typeof id === 'string'));
+            socket.watching.forEach(id => {
+                if (clients.has(id)) {
+                    send(socket, { type: 'presence', id, online: true });
+                }
+            });
+            return;
+        }
+
+        if (!['connect', 'accept', 'data', 'close'].includes(frame.type) || typeof frame.connId !== 'string') {
+            return;
+        }
+
+        const target = clients.get(frame.to);
+        if (!target) {
+            if (frame.type === 'connect') {
+                send(socket, {
+                    type: 'error',
+                    errorType: 'peer-unavailable',
+                    peer: frame.to,
+                    connId: frame.connId,
+                    message: `对方不在线: ${frame.to}`
+                });
+            }
+            return;
+        }
+
+        if (frame.type === 'connect' || frame.type === 'accept') {
+            socket.partners.add(target.peerId);
+            target.partners.add(socket.peerId);
+        }
+
+        const forwarded = { type: frame.type, from: socket.peerId, connId: frame.connId };
+        if (frame.type === 'data') {
+            forwarded.data = frame.data;
+        }
+        send(target, forwarded);
+    }
+
+    wss.on('connection', (socket) => {
+        socket.peerId = null;
+        socket.watching = new Set();
+        socket.partners = new Set();
+
+        socket.on('message', (raw) => {
+            let frame;
+            try {
+                frame = JSON.parse(raw);
+            } catch (error) {
+                return;
+            }
+            if (frame && typeof frame === 'object') {
+                handleFrame(socket, frame);
+            }
+        });
+
+        socket.on('close', () => {
+            if (!socket.peerId || clients.get(socket.peerId) !== socket) {
+                return;
+            }
+            clients.delete(socket.peerId);
+            socket.partners.forEach(partnerId => {
+                const partner = clients.get(partnerId);
+                if (partner) {
+                    send(partner, { type: 'peer-left', from: socket.peerId });
+                }
+            });
+            notifyPresence(socket.peerId, false);
+        });
+    });
+
+    return clients;
+}
+
+// 启动中继服务器，返回 http(s) 服务器
+export function startRelay({ port = 9001, host = '0.0.0.0', cert = null, key = null } = {}) {
+    const server = cert
+        ? https.createServer({ cert: fs.readFileSync(cert), key: fs.readFileSync(key) })
+        : http.createServer();
+    server.on('request', (req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('仅支持 WebSocket 连接');
+    });
+
+    createRelay(new WebSocketServer({ server, maxPayload: 1024 * 1024 }));
+
+    server.listen(port, host, () => {
+        console.log(`中继服务器已启动: ${cert ? 'wss' : 'ws'}://${host}:${port}/`);
+    });
+    return server;
+}
+
+function parseArgs(argv) {
+    const options = { port: 9001, host: '0.0.0.0', cert: null, key: null };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`未知参数: ${argv[i]}`);
+        }
+        options[name] = argv[++i];
+    }
+    options.port = parseInt(options.port);
+    if (!(options.port > 0 && options.port < 65536)) {
+        throw new Error('端口无效');
+    }
+    if (Boolean(options.cert) !== Boolean(options.key)) {
+        throw new Error('--cert 和 --key 需要同时提供');
+    }
+    return options;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        startRelay(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error('启动失败:', error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,52 @@
+// 把页面依赖的第三方脚本从 node_modules 复制到 vendor/，页面不再需要访问 CDN，完全隔离的局域网也能使用。
+//
+// 用法（在仓库根目录执行过 npm install 之后）：
+//   npm run vendor
+//
+// 升级依赖版本后重新执行并提交 vendor/ 中的文件；版本以 package.json 中的精确版本为准。
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// [包名, 包内路径, vendor/ 中的文件名]
+const SCRIPTS = [
+    ['peerjs', 'dist/peerjs.min.js', 'peerjs.min.js'],
+    ['tweetnacl', 'nacl-fast.min.js', 'nacl-fast.min.js'],
+    ['tweetnacl-util', 'nacl-util.min.js', 'nacl-util.min.js'],
+    ['scrypt-js', 'scrypt.js', 'scrypt.js'],
+    ['qrcode-generator', 'qrcode.js', 'qrcode.js'],
+    ['jsqr', 'dist/jsQR.js', 'jsQR.js']
+];
+
+const LICENSE_FILES = ['LICENSE', 'LICENSE.txt', 'LICENSE.md'];
+
+function main() {
+    const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const target = path.join(root, 'vendor');
+    fs.mkdirSync(target, { recursive: true });
+
+    SCRIPTS.forEach(([name, file, output]) => {
+        const packageDir = path.join(root, 'node_modules', name);
+        if (!fs.existsSync(packageDir)) {
+            throw new Error(`缺少依赖 ${name}，请先执行 npm install`);
+        }
+
+        const { version } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+        fs.copyFileSync(path.join(packageDir, file), path.join(target, output));
+
+        // 随脚本一起分发许可证
+        const license = LICENSE_FILES.find(item => fs.existsSync(path.join(packageDir, item)));
+        if (license) {
+            fs.copyFileSync(path.join(packageDir, license), path.join(target, `${name}.LICENSE`));
+        }
+        console.log(`${name}@${version} -> vendor/${output}`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('复制失败:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+// 传输层连接：由具体传输提供发送和关闭的实现，对外的接口与 PeerJS 的 DataConnection 相同
+export class TransportConnection {
+    constructor(peer, { send, close } = {}) {
+        this.peer = peer;
+        this.open = false;
+        this.closed = false;
+        this.sendImpl = send;
+        this.closeImpl = close;
+        this.eventHandlers = new Map();
+    }
+
+    // 传输建立好通道后调用
+    markOpen() {
+        if (this.open || this.closed) {
+            return;
+        }
+        this.open = true;
+        this.emit('open');
+    }
+
+    // 传输收到对方数据时调用
+    receive(data) {
+        if (this.open) {
+            this.emit('data', data);
+        }
+    }
+
+    send(data) {
+        if (!this.open) {
+            throw new Error('连接未打开');
+        }
+        this.sendImpl(data);
+    }
+
+    // 本地关闭：通知对方
+    close() {
+        if (this.closed) {
+            return;
+        }
+        if (this.closeImpl) {
+            this.closeImpl();
+        }
+        this.finishClose();
+    }
+
+    // 对方关闭或传输断开
+    handleRemoteClose() {
+        if (!this.closed) {
+            this.finishClose();
+        }
+    }
+
+    // 建立连接失败
+    fail(error) {
+        if (this.closed) {
+            return;
+        }
+        this.emit('error', error);
+        this.finishClose();
+    }
+
+    finishClose() {
+        this.open = false;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,68 @@
+// 传输层接口：P2PNetwork 只通过这里定义的接口收发数据，具体实现见
+// peerjs-transport.js（WebRTC）、relay-transport.js（WebSocket 中继）和 memory-transport.js（进程内，用于测试）
+//
+// 传输代表本地的一个端点：
+//   listen(peerId)   以指定 ID 注册，成功后触发 'open'(id)，失败触发 'error'
+//   connect(peerId)  返回连接对象，建立后触发连接的 'open'，失败触发连接的 'error'
+//   watch(peerIds)   关注联系人的在线状态，变化时触发 'presence' { peerId, online }（传输不支持时忽略）
+//   reconnect()      与服务器断开（'disconnected'）后重新注册，成功后再次触发 'open'
+//   destroy()        关闭端点和所有连接
+//   事件: 'open' 'connection'(conn) 'disconnected' 'presence' 'error'(error.type 标明错误类型)
+//
+// 连接对象（见 TransportConnection）：send(data)、close()，属性 peer 和 open，
+// 事件 'open' 'data' 'close' 'error'
+export class Transport {
+    constructor() {
+        this.id = null;
+        this.disconnected = true;
+        this.destroyed = false;
+        this.eventHandlers = new Map();
+    }
+
+    listen(peerId) {
+        throw new Error('传输未实现 listen');
+    }
+
+    connect(peerId) {
+        throw new Error('传输未实现 connect');
+    }
+
+    watch(peerIds) {
+        // 默认不提供在线状态
+    }
+
+    reconnect() {
+        // 默认不支持重连
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.disconnected = true;
+    }
+
+    // 带类型的错误，与 PeerJS 的错误类型保持一致（unavailable-id、peer-unavailable、network 等）
+    createError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+
+    // 事件系统
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`事件处理错误 (${event}):`, error);
+            }
+        });
+    }
+}